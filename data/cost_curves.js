@@ -1,15 +1,25 @@
 /**
- * Cost assumptions per interceptor type (in $M per unit).
+ * Cost assumptions per interceptor type (in $M).
+ *
+ *   unitCost_M     — first-unit procurement cost
+ *   learningRate   — unit cost multiplier per doubling of quantity
+ *   rdte_M         — one-time research, development, test and evaluation
+ *   oAndSFraction  — annual operations and sustainment, as a share of procurement
+ *   lifetimeYears  — service life of a satellite (space-based types); the
+ *                    layer is replenished when it runs out
+ *   launchCost_M   — launch cost per satellite (space-based types)
  *
  * NOTE: All values are preliminary placeholders.
  */
 
 export const COST_CURVES = {
-  boost_kinetic:     { unitCost_M: 15,  label: "Space-Based Kinetic (Boost)" },
-  boost_laser:       { unitCost_M: 25,  label: "Space-Based Laser (Boost)" },
-  midcourse_gbi:     { unitCost_M: 75,  label: "Ground-Based Interceptor" },
-  midcourse_kinetic: { unitCost_M: 15,  label: "Space-Based Kinetic (Midcourse)" },
-  midcourse_laser:   { unitCost_M: 25,  label: "Space-Based Laser (Midcourse)" },
-  terminal_kinetic:  { unitCost_M: 3,   label: "THAAD/Patriot-class" },
-  terminal_nuclear:  { unitCost_M: 50,  label: "Nuclear-Tipped Terminal" },
+  boost_kinetic:     { unitCost_M: 15,  learningRate: 0.85, rdte_M: 4000,  oAndSFraction: 0.03, lifetimeYears: 7,  launchCost_M: 5,  label: "Space-Based Kinetic (Boost)" },
+  boost_laser:       { unitCost_M: 25,  learningRate: 0.90, rdte_M: 10000, oAndSFraction: 0.05, lifetimeYears: 10, launchCost_M: 20, label: "Space-Based Laser (Boost)" },
+  midcourse_gbi:     { unitCost_M: 75,  learningRate: 0.95, rdte_M: 2000,  oAndSFraction: 0.04, label: "Ground-Based Interceptor" },
+  midcourse_kinetic: { unitCost_M: 15,  learningRate: 0.85, rdte_M: 4000,  oAndSFraction: 0.03, lifetimeYears: 7,  launchCost_M: 5,  label: "Space-Based Kinetic (Midcourse)" },
+  midcourse_gpi:     { unitCost_M: 40,  learningRate: 0.92, rdte_M: 3000,  oAndSFraction: 0.03, label: "Glide Phase Interceptor" },
+  midcourse_laser:   { unitCost_M: 25,  learningRate: 0.90, rdte_M: 10000, oAndSFraction: 0.05, lifetimeYears: 10, launchCost_M: 20, label: "Space-Based Laser (Midcourse)" },
+  terminal_kinetic:  { unitCost_M: 3,   learningRate: 0.95, rdte_M: 500,   oAndSFraction: 0.05, label: "THAAD/Patriot-class" },
+  terminal_air:      { unitCost_M: 1,   learningRate: 0.95, rdte_M: 200,   oAndSFraction: 0.05, label: "NASAMS-class" },
+  terminal_nuclear:  { unitCost_M: 50,  learningRate: 0.95, rdte_M: 3000,  oAndSFraction: 0.06, label: "Nuclear-Tipped Terminal" },
 };
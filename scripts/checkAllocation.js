@@ -0,0 +1,49 @@
+/**
+ * Check that the planned allocation policies (maxKill, minLeakage with no
+ * budget) leak no more than greedy on the country presets.
+ *
+ *   node --experimental-detect-module scripts/checkAllocation.js [trials scale]
+ *
+ * Each policy is run on the same per-trial seeds as greedy (pairTrials), and
+ * fails when its mean penetrated warheads exceed greedy's by more than two
+ * standard errors of the paired difference. Exits 1 on any failure.
+ */
+
+import { COUNTRIES } from '../src/config/countries.js';
+import { runMonteCarlo } from '../src/model/monteCarlo.js';
+
+const BLUE = "US";
+// Trials per preset, kept small for the large raids
+const PRESETS = { DPRK: 400, China: 40, Russia: 20 };
+const POLICIES = ["maxKill", "minLeakage"];
+
+const scale = Number(process.argv[2] ?? 1);
+let failed = false;
+
+for (const [red, trials] of Object.entries(PRESETS)) {
+  const base = {
+    ...COUNTRIES.blue[BLUE],
+    ...COUNTRIES.red[red],
+    nTrials: Math.max(2, Math.round(trials * scale)),
+    seed: 1,
+    pairTrials: true,
+  };
+  const greedy = runMonteCarlo({ ...base, allocationPolicy: "greedy" }).penReal;
+
+  for (const policy of POLICIES) {
+    const pen = runMonteCarlo({ ...base, allocationPolicy: policy }).penReal;
+    const diffs = pen.map((p, i) => p - greedy[i]);
+    const n = diffs.length;
+    const meanDiff = diffs.reduce((a, x) => a + x, 0) / n;
+    const variance = diffs.reduce((a, x) => a + (x - meanDiff) ** 2, 0) / (n - 1);
+    const stdErr = Math.sqrt(variance / n);
+    const ok = meanDiff <= 2 * stdErr;
+    if (!ok) failed = true;
+    console.log(
+      `${ok ? "ok  " : "FAIL"} ${BLUE} vs ${red.padEnd(7)} ${policy.padEnd(11)} ` +
+        `penetrated ${(meanDiff >= 0 ? "+" : "") + meanDiff.toFixed(2)} vs greedy (SE ${stdErr.toFixed(2)}, ${n} trials)`
+    );
+  }
+}
+
+process.exit(failed ? 1 : 0);
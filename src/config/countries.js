@@ -16,6 +16,12 @@ export const COUNTRIES = {
           pk: 0.50,
           costPerUnit_M: 15,
           phase: "boost",
+          availability: 0.99,
+          launchReliability: 0.95,
+          divertVelocityKmS: 4.0,
+          flyoutTimeSec: 30,
+          // Boost timeline leaves no time for a second look
+          doctrine: { doctrineMode: "barrage", shotsPerTarget: 1 },
         },
         boost_laser: {
           label: "Space-Based Laser (Boost)",
@@ -23,6 +29,15 @@ export const COUNTRIES = {
           pk: 0.40,
           costPerUnit_M: 25,
           phase: "boost",
+          availability: 0.99,
+          // deployed = platforms; pk per dwell. A dwell spends chemical fuel
+          // and a share of the platform's magazine life.
+          weaponKind: "laser",
+          costPerShot_M: 1.5,
+          rangeKm: 1500,
+          dwellTimeSec: 5,
+          retargetTimeSec: 1,
+          magazineShots: 20,
         },
         midcourse_gbi: {
           label: "Ground-Based Interceptor (Midcourse)",
@@ -30,6 +45,16 @@ export const COUNTRIES = {
           pk: 0.56,
           costPerUnit_M: 75,
           phase: "midcourse",
+          // Per battery; a GBI that leaves the silo may still fail to separate
+          availability: 0.95,
+          launchReliability: 0.90,
+          // Per battery: simultaneous engagements, each held for the flyout
+          fireChannels: 8,
+          engagementTimeSec: 300,
+          batteries: [
+            { site: "fort_greely", label: "Fort Greely, AK",  lat: 63.97, lon: -145.73, deployed: 40, footprintKm: 9000 },
+            { site: "vandenberg",  label: "Vandenberg SFB, CA", lat: 34.74, lon: -120.57, deployed: 4,  footprintKm: 9000 },
+          ],
         },
         midcourse_kinetic: {
           label: "Space-Based Kinetic (Midcourse)",
@@ -37,6 +62,19 @@ export const COUNTRIES = {
           pk: 0.50,
           costPerUnit_M: 15,
           phase: "midcourse",
+          availability: 0.99,
+          launchReliability: 0.95,
+        },
+        midcourse_gpi: {
+          label: "Glide Phase Interceptor",
+          deployed: 24,
+          pk: 0.50,
+          costPerUnit_M: 40,
+          phase: "midcourse",
+          availability: 0.95,
+          launchReliability: 0.95,
+          // Endo-atmospheric: engages glide vehicles, not exo-atmospheric RVs
+          glidePhase: true,
         },
         midcourse_laser: {
           label: "Space-Based Laser (Midcourse)",
@@ -44,6 +82,15 @@ export const COUNTRIES = {
           pk: 0.40,
           costPerUnit_M: 25,
           phase: "midcourse",
+          availability: 0.99,
+          // Hardened RVs need long dwells; a fifth of platforms see the corridor
+          weaponKind: "laser",
+          costPerShot_M: 5.5,
+          dwellTimeSec: 20,
+          retargetTimeSec: 2,
+          magazineShots: 5,
+          timelineSec: 600,
+          inViewFraction: 0.2,
         },
         terminal_kinetic: {
           label: "Terminal Kinetic (THAAD/Patriot-class)",
@@ -51,6 +98,44 @@ export const COUNTRIES = {
           pk: 0.80,
           costPerUnit_M: 3,
           phase: "terminal",
+          availability: 0.90,
+          launchReliability: 0.97,
+          fireChannels: 3,
+          engagementTimeSec: 15,
+          // Terminal timeline is too short for SLS: fire a salvo
+          doctrine: { doctrineMode: "barrage", shotsPerTarget: 2 },
+          // Point defense of a few sites; batteries sum to deployed
+          batteries: [
+            { site: "ncr",         label: "National Capital Region", lat: 38.90, lon: -77.04,  deployed: 32, footprintKm: 200 },
+            { site: "new_york",    label: "New York",                lat: 40.71, lon: -74.01,  deployed: 24, footprintKm: 200 },
+            { site: "los_angeles", label: "Los Angeles",             lat: 34.05, lon: -118.24, deployed: 24, footprintKm: 200 },
+            { site: "colorado",    label: "Peterson SFB, CO",        lat: 38.82, lon: -104.70, deployed: 24, footprintKm: 200 },
+            { site: "puget_sound", label: "Puget Sound, WA",         lat: 47.68, lon: -122.50, deployed: 24, footprintKm: 200 },
+            { site: "guam",        label: "Guam",                    lat: 13.58, lon: 144.93,  deployed: 32, footprintKm: 200 },
+            { site: "hawaii",      label: "Oahu, HI",                lat: 21.35, lon: -157.96, deployed: 16, footprintKm: 200 },
+            { site: "alaska",      label: "Fort Greely, AK",         lat: 63.97, lon: -145.73, deployed: 24, footprintKm: 200 },
+          ],
+        },
+        terminal_air: {
+          label: "Air Defense (NASAMS-class)",
+          deployed: 144,
+          pk: 0.70,
+          costPerUnit_M: 1,
+          phase: "terminal",
+          availability: 0.90,
+          launchReliability: 0.97,
+          // Engages cruise missiles only
+          airDefense: true,
+          fireChannels: 6,
+          engagementTimeSec: 20,
+          doctrine: { doctrineMode: "barrage", shotsPerTarget: 2 },
+          batteries: [
+            { site: "ncr",         label: "National Capital Region", lat: 38.90, lon: -77.04,  deployed: 48, footprintKm: 50 },
+            { site: "new_york",    label: "New York",                lat: 40.71, lon: -74.01,  deployed: 24, footprintKm: 50 },
+            { site: "los_angeles", label: "Los Angeles",             lat: 34.05, lon: -118.24, deployed: 24, footprintKm: 50 },
+            { site: "guam",        label: "Guam",                    lat: 13.58, lon: 144.93,  deployed: 24, footprintKm: 50 },
+            { site: "hawaii",      label: "Oahu, HI",                lat: 21.35, lon: -157.96, deployed: 24, footprintKm: 50 },
+          ],
         },
         terminal_nuclear: {
           label: "Terminal Nuclear",
@@ -58,19 +143,120 @@ export const COUNTRIES = {
           pk: 0.95,
           costPerUnit_M: 50,
           phase: "terminal",
+          // Each burst blacks out terminal radars over the asset and may
+          // destroy warheads arriving just behind the target
+          nuclear: true,
+          blackoutSec: 30,
+          blackoutTrackPenalty: 0.6,
+          pCollateralKill: 0.3,
+          collateralWindowSec: 5,
         },
       },
+      sensors: {
+        space_ir: {
+          label: "Space IR Early Warning (SBIRS/OPIR)",
+          kind: "space_ir",
+          pDetect: { boost: 0.80, midcourse: 0.30 },
+          trackCapacity: 1000,
+          asatVulnerability: 1.0,
+          availability: 0.99,
+          // Post-intercept look: P(kill read as a miss), P(miss read as a kill)
+          killAssessment: { pMissedKill: 0.20, pFalseKill: 0.10 },
+          // Satellites at risk from an ASAT campaign
+          satellites: 8,
+          altitudeKm: 36000,
+        },
+        forward_xband: {
+          label: "Forward-Based X-Band (AN/TPY-2)",
+          kind: "forward_xband",
+          pDetect: { boost: 0.20, midcourse: 0.50, terminal: 0.60 },
+          trackCapacity: 300,
+          asatVulnerability: 0.0,
+          availability: 0.95,
+          killAssessment: { pMissedKill: 0.15, pFalseKill: 0.08 },
+        },
+        uewr: {
+          label: "Upgraded Early-Warning Radars",
+          kind: "uewr",
+          pDetect: { midcourse: 0.50 },
+          trackCapacity: 500,
+          asatVulnerability: 0.0,
+          availability: 0.97,
+        },
+        discrimination: {
+          label: "Discrimination Radar (LRDR)",
+          kind: "discrimination",
+          pDetect: { midcourse: 0.60, terminal: 0.60 },
+          trackCapacity: 1000,
+          asatVulnerability: 0.0,
+          availability: 0.95,
+          killAssessment: { pMissedKill: 0.10, pFalseKill: 0.05 },
+        },
+        airborne_ew: {
+          label: "Airborne Early Warning (E-7/E-2D)",
+          kind: "airborne_ew",
+          // Low-altitude air picture only
+          pDetect: { cruise: 0.70 },
+          trackCapacity: 300,
+          asatVulnerability: 0.0,
+          availability: 0.90,
+        },
+      },
+      // Defended assets: value weights are relative (placeholder), lat/lon in degrees
+      assets: {
+        washington_dc:  { label: "Washington, DC",            kind: "command", value: 10, lat: 38.90, lon: -77.04 },
+        new_york:       { label: "New York",                  kind: "city",    value: 10, lat: 40.71, lon: -74.01 },
+        los_angeles:    { label: "Los Angeles",               kind: "city",    value: 8,  lat: 34.05, lon: -118.24 },
+        chicago:        { label: "Chicago",                   kind: "city",    value: 6,  lat: 41.88, lon: -87.63 },
+        houston:        { label: "Houston",                   kind: "city",    value: 5,  lat: 29.76, lon: -95.37 },
+        seattle:        { label: "Seattle",                   kind: "city",    value: 4,  lat: 47.61, lon: -122.33 },
+        honolulu:       { label: "Honolulu",                  kind: "city",    value: 2,  lat: 21.31, lon: -157.86 },
+        anchorage:      { label: "Anchorage",                 kind: "city",    value: 1,  lat: 61.22, lon: -149.90 },
+        offutt:         { label: "Offutt AFB (STRATCOM)",     kind: "command", value: 8,  lat: 41.12, lon: -95.91 },
+        cheyenne_mtn:   { label: "Cheyenne Mountain (NORAD)", kind: "command", value: 8,  lat: 38.74, lon: -104.85 },
+        kings_bay:      { label: "NSB Kings Bay",             kind: "base",    value: 6,  lat: 30.80, lon: -81.56 },
+        kitsap:         { label: "NB Kitsap-Bangor",          kind: "base",    value: 6,  lat: 47.73, lon: -122.71 },
+        minot:          { label: "Minot AFB",                 kind: "base",    value: 5,  lat: 48.42, lon: -101.36 },
+        malmstrom:      { label: "Malmstrom AFB",             kind: "base",    value: 5,  lat: 47.51, lon: -111.18 },
+        fe_warren:      { label: "F.E. Warren AFB",           kind: "base",    value: 5,  lat: 41.13, lon: -104.87 },
+        guam:           { label: "Andersen AFB, Guam",        kind: "base",    value: 4,  lat: 13.58, lon: 144.93 },
+        fort_greely:    { label: "Fort Greely (GBI site)",    kind: "base",    value: 3,  lat: 63.97, lon: -145.73 },
+        vandenberg:     { label: "Vandenberg SFB",            kind: "base",    value: 3,  lat: 34.74, lon: -120.57 },
+      },
+      preferentialDefenseTopN: null,
       pDetectTrack: 0.85,
+      pTrackCustody: 0.95,
+      cuePenalty: 0.30,
+      discriminationGainPerLook: 0.20,
       pClassifyWarhead: 0.80,
       pFalseAlarmDecoy: 0.20,
+      pClassifyWarheadTerminal: 0.95,
+      pFalseAlarmDecoyTerminal: 0.15,
       doctrineMode: "sls",
       shotsPerTarget: 2,
       maxShotsPerTarget: 4,
       pReengage: 0.85,
+      allocationPolicy: "greedy",
       constellationAltitudeKm: 1000,
-      pSystemUp: 0.90,
-      detectDegradeFactor: 0.50,
-      pkDegradeFactor: 0.70,
+      // Boost-phase space interceptors are spread evenly over all slots
+      constellationShells: [
+        { label: "Mid-inclination", altitudeKm: 1000, inclinationDeg: 50, planes: 12, satsPerPlane: 10, phasing: 1 },
+        { label: "Polar",           altitudeKm: 1100, inclinationDeg: 85, planes: 6,  satsPerPlane: 10, phasing: 1 },
+      ],
+      // Component reliability (see model/reliability.js): each sensor,
+      // battery and constellation fails on its own; C2 outages degrade all
+      reliability: {
+        c2Availability: 0.97,
+        c2DownDetectFactor: 0.50,
+        c2DownPkFactor: 0.70,
+        commonModes: [
+          {
+            label: "Pacific power / network outage",
+            p: 0.02,
+            takesDown: ["sensor:forward_xband", "battery:midcourse_gbi:fort_greely", "battery:terminal_kinetic:alaska"],
+          },
+        ],
+      },
     },
   },
 
@@ -81,26 +267,43 @@ export const COUNTRIES = {
         IRBM: {
           label: "Intermediate-Range (Hwasong-12 class)",
           count: 30,
+          unitCost_M: 10,
+          decoyCost_M: 0.1,
           mirvsPerMissile: 1,
           decoysPerWarhead: 1,
           yieldKt: 20,
           boostEvasion: 0.0,
+          boosterType: "liquid",
+          launchArea: "north",
         },
         ICBM: {
           label: "Intercontinental (Hwasong-17/18 class)",
           count: 5,
+          unitCost_M: 30,
+          decoyCost_M: 0.1,
           mirvsPerMissile: 1,
           decoysPerWarhead: 2,
+          // Crude but early payload release against boost intercept
+          cmLoadout: { submunitions: 1 },
           yieldKt: 150,
           boostEvasion: 0.05,
+          boosterType: "liquid",
+          launchArea: "north",
         },
       },
+      launchAreas: {
+        north: { label: "Northern DPRK", lat: 40.7, lon: 127.5 },
+      },
+      // Aim-point weights by asset key or asset kind
+      targeting: {
+        IRBM: { guam: 0.7, honolulu: 0.3 },
+        ICBM: { city: 0.6, command: 0.2, base: 0.2 },
+      },
       countermeasures: {
         asatType: "none",
         asatDetectPenalty: 0.0,
         asatSpacePkPenalty: 0.0,
       },
-      regionalCoverageFactor: 0.9,
     },
 
     China: {
@@ -109,34 +312,86 @@ export const COUNTRIES = {
         IRBM: {
           label: "Intermediate-Range (DF-26 class)",
           count: 200,
+          unitCost_M: 15,
+          decoyCost_M: 0.1,
           mirvsPerMissile: 1,
           decoysPerWarhead: 3,
           yieldKt: 90,
           boostEvasion: 0.10,
+          boosterType: "solid",
+          launchArea: "southeast",
         },
         ICBM: {
           label: "Intercontinental (DF-41 class)",
           count: 350,
+          unitCost_M: 60,
           mirvsPerMissile: 3,
-          decoysPerWarhead: 5,
+          // Replaces the former 5 generic decoys per warhead with 5 catalog objects
+          decoysPerWarhead: 0,
+          cmLoadout: { replica: 3, highFidelity: 1, chaff: 1 },
           yieldKt: 500,
           boostEvasion: 0.15,
+          boosterType: "solid",
+          launchArea: "interior",
         },
         SLBM: {
           label: "Submarine-Launched (JL-3 class)",
           count: 72,
+          unitCost_M: 50,
           mirvsPerMissile: 3,
-          decoysPerWarhead: 4,
+          // Replaces the former 4 generic decoys per warhead with 4 catalog objects
+          decoysPerWarhead: 0,
+          cmLoadout: { replica: 3, balloon: 1 },
           yieldKt: 250,
           boostEvasion: 0.10,
+          boosterType: "solid",
+          launchArea: "bohai",
+        },
+        HGV: {
+          label: "Hypersonic Glide (DF-17 class)",
+          count: 40,
+          unitCost_M: 20,
+          mirvsPerMissile: 1,
+          decoysPerWarhead: 0,
+          yieldKt: 50,
+          boostEvasion: 0.10,
+          boosterType: "solid",
+          launchArea: "southeast",
+          trajectory: "hgv",
         },
       },
+      // Air-breathing threats: terminal and air defenses only
+      cruiseClasses: {
+        LACM: { label: "Land-Attack Cruise (CJ-10/CJ-20 class)", count: 150, yieldKt: 20, unitCost_M: 2 },
+      },
+      launchAreas: {
+        southeast: { label: "Southeast China",   lat: 25.0, lon: 115.0 },
+        interior:  { label: "Central interior",  lat: 38.0, lon: 100.0 },
+        bohai:     { label: "Bohai/Yellow Sea",  lat: 38.5, lon: 121.0 },
+      },
+      targeting: {
+        IRBM: { guam: 0.6, honolulu: 0.2, anchorage: 0.2 },
+        ICBM: { base: 0.4, command: 0.3, city: 0.3 },
+        SLBM: { city: 0.5, command: 0.3, base: 0.2 },
+        HGV: { guam: 0.7, honolulu: 0.3 },
+        LACM: { guam: 0.6, honolulu: 0.2, base: 0.2 },
+      },
+      // Two salvos; per-class counts sum to each class's total count
+      waves: [
+        { label: "Wave 1", timeOffsetMin: 0,  counts: { IRBM: 150, ICBM: 200, SLBM: 36, HGV: 24, LACM: 90 } },
+        { label: "Wave 2", timeOffsetMin: 90, counts: { IRBM: 50,  ICBM: 150, SLBM: 36, HGV: 16, LACM: 60 } },
+      ],
       countermeasures: {
         asatType: "conventional",
-        asatDetectPenalty: 0.10,
-        asatSpacePkPenalty: 0.15,
       },
-      regionalCoverageFactor: 0.75,
+      // Pre-raid strike on the LEO interceptor layer and the early-warning satellites
+      asatCampaign: {
+        atWave: 1,
+        weapons: [
+          { kind: "directAscent", shots: 24, pk: 0.7, maxAltitudeKm: 2000, target: "interceptors" },
+          { kind: "coOrbital",    shots: 4,  pk: 0.6, target: "sensors" },
+        ],
+      },
     },
 
     Russia: {
@@ -145,34 +400,97 @@ export const COUNTRIES = {
         IRBM: {
           label: "Intermediate-Range (Iskander-class)",
           count: 100,
+          unitCost_M: 5,
+          decoyCost_M: 0.1,
           mirvsPerMissile: 1,
           decoysPerWarhead: 4,
           yieldKt: 100,
           boostEvasion: 0.15,
+          boosterType: "fastSolid",
+          launchArea: "far_east",
+          trajectory: "marv",
         },
         ICBM: {
           label: "Intercontinental (SS-18/Sarmat class)",
           count: 400,
+          unitCost_M: 100,
           mirvsPerMissile: 6,
-          decoysPerWarhead: 8,
+          // Replaces the former 8 generic decoys per warhead with 8 catalog
+          // objects, plus 4 booster fragments per missile
+          decoysPerWarhead: 0,
+          cmLoadout: { replica: 4, highFidelity: 2, balloon: 1, chaff: 1, boosterFragments: 4 },
           yieldKt: 800,
           boostEvasion: 0.20,
+          boosterType: "liquid",
+          launchArea: "siberia",
         },
         SLBM: {
           label: "Submarine-Launched (Bulava class)",
           count: 192,
+          unitCost_M: 60,
           mirvsPerMissile: 4,
-          decoysPerWarhead: 6,
+          // Replaces the former 6 generic decoys per warhead with 6 catalog objects
+          decoysPerWarhead: 0,
+          cmLoadout: { replica: 4, highFidelity: 1, chaff: 1 },
           yieldKt: 500,
           boostEvasion: 0.15,
+          boosterType: "fastSolid",
+          launchArea: "barents",
+        },
+        HGV: {
+          label: "Hypersonic Glide (Avangard class)",
+          count: 12,
+          unitCost_M: 60,
+          mirvsPerMissile: 1,
+          decoysPerWarhead: 0,
+          yieldKt: 800,
+          boostEvasion: 0.20,
+          boosterType: "liquid",
+          launchArea: "siberia",
+          trajectory: "hgv",
+        },
+        FOBS: {
+          label: "Fractional Orbital (Sarmat FOBS)",
+          count: 10,
+          unitCost_M: 100,
+          decoyCost_M: 0.1,
+          mirvsPerMissile: 6,
+          decoysPerWarhead: 8,
+          yieldKt: 800,
+          boostEvasion: 0.20,
+          boosterType: "liquid",
+          launchArea: "siberia",
+          // Southern approach, away from the northern early-warning radars
+          trajectory: "fobs",
         },
       },
+      cruiseClasses: {
+        ALCM: { label: "Air-Launched Cruise (Kh-102 class)", count: 200, yieldKt: 250, unitCost_M: 5 },
+      },
+      launchAreas: {
+        far_east: { label: "Russian Far East",  lat: 48.5, lon: 135.0 },
+        siberia:  { label: "Central Siberia",   lat: 54.0, lon: 80.0 },
+        barents:  { label: "Barents Sea bastion", lat: 72.0, lon: 40.0 },
+      },
+      targeting: {
+        IRBM: { anchorage: 0.4, fort_greely: 0.6 },
+        ICBM: { base: 0.5, command: 0.3, city: 0.2 },
+        SLBM: { command: 0.4, base: 0.3, city: 0.3 },
+        HGV: { command: 0.6, base: 0.4 },
+        FOBS: { command: 0.5, base: 0.5 },
+        ALCM: { command: 0.3, base: 0.4, city: 0.3 },
+      },
       countermeasures: {
         asatType: "nuclear",
-        asatDetectPenalty: 0.25,
-        asatSpacePkPenalty: 0.30,
       },
-      regionalCoverageFactor: 0.6,
+      // High-altitude burst over the LEO shells, plus direct-ascent shots
+      asatCampaign: {
+        atWave: 1,
+        weapons: [
+          { kind: "nuclear",      detonations: 1, altitudeKm: 1000, pKillLeo: 0.4 },
+          { kind: "directAscent", shots: 12, pk: 0.8, maxAltitudeKm: 2000, target: "interceptors" },
+        ],
+      },
     },
   },
 };
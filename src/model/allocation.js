@@ -0,0 +1,171 @@
+/**
+ * Weapon–target assignment — raid-wide shot allocation at the start of a phase.
+ *
+ * Policies:
+ *   greedy     — no plan: each target tries types cheapest-first, in raid order
+ *   maxKill    — marginal-gain WTA: each shot goes to the (target, type) pair
+ *                that adds the most expected kills
+ *   minLeakage — as maxKill, ranked by expected kills per $M, stopping at the
+ *                per-trial cost budget (params.allocationBudget_M)
+ */
+
+export const ALLOCATION_POLICIES = {
+  greedy:     { label: "Greedy (cheapest type first)" },
+  maxKill:    { label: "Maximize expected kills" },
+  minLeakage: { label: "Minimize expected leakage under cost budget" },
+};
+
+// ---------------------------------------------------------------------------
+// Max-heap on entry.gain
+// ---------------------------------------------------------------------------
+
+function heapPush(heap, entry) {
+  heap.push(entry);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent].gain >= heap[i].gain) break;
+    [heap[parent], heap[i]] = [heap[i], heap[parent]];
+    i = parent;
+  }
+}
+
+function heapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length > 0) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const l = 2 * i + 1;
+      const r = l + 1;
+      let m = i;
+      if (l < heap.length && heap[l].gain > heap[m].gain) m = l;
+      if (r < heap.length && heap[r].gain > heap[m].gain) m = r;
+      if (m === i) break;
+      [heap[m], heap[i]] = [heap[i], heap[m]];
+      i = m;
+    }
+  }
+  return top;
+}
+
+// ---------------------------------------------------------------------------
+// Planner
+// ---------------------------------------------------------------------------
+
+/**
+ * Plan shots for every engageable target in a phase.
+ *
+ * @param {Object[]} targets — engageable targets (tracked and classified as threats)
+ * @param {string[]} types — interceptor types for the phase, in execution order
+ * @param {Object} opts
+ *   policy            — key of ALLOCATION_POLICIES
+ *   pkFor(tgt, type)  — per-shot Pk of a type against a target
+ *   inventory         — { [type]: remaining }
+ *   sourcesFor(tgt, type) — stocks a shot at the target can draw on, fullest
+ *                       first: [{ key, stock }] (batteries, boost pools, laser
+ *                       time); null or omitted for the type's inventory alone
+ *   channelsFor(tgt, type) — fire-control channels engaging the target would
+ *                       hold, as [{ key, stock }]; one per (target, type)
+ *                       engagement whatever its shots (optional)
+ *   costs             — { [type]: $M per shot }
+ *   maxShotsByType    — { [type]: cap } on planned shots per target of one type (optional)
+ *   sequential        — { [type]: true } for types that fire one shot at a time
+ *                       and stop on a kill (shoot-look-shoot, laser dwells): a
+ *                       planned shot is fired, and drawn from stock and budget,
+ *                       only with the probability the target is still alive
+ *   budget_M          — remaining cost budget (minLeakage only)
+ * @returns {{ plan: Map<Object, {type: string, shots: number}[]>, cost_M: number } | null}
+ *   null for the greedy policy (engine falls back to layered engagement)
+ */
+export function planAllocation(targets, types, opts) {
+  const policy = opts.policy ?? "greedy";
+  if (policy === "greedy") return null;
+
+  const perDollar = policy === "minLeakage";
+  let budget_M = perDollar ? (opts.budget_M ?? Infinity) : Infinity;
+  const remaining = {};
+  for (const type of types) remaining[type] = opts.inventory[type] ?? 0;
+
+  const state = targets.map(() => ({ survival: 1, alloc: {} }));
+
+  // Planned draws on each source or channel, and the fullest one of a list
+  // left to draw on (null if none; { key: null } for no list)
+  const drawn = {};
+  function fullest(sources) {
+    if (!sources) return { key: null };
+    let best = null;
+    for (const { key, stock } of sources) {
+      const left = stock - (drawn[key] ?? 0);
+      if (left > 0 && (!best || left > best.left)) best = { key, left };
+    }
+    return best;
+  }
+  const sourceFor = (idx, type) => fullest(opts.sourcesFor?.(targets[idx], type));
+  // Only the first shot of a type at a target opens an engagement
+  const channelFor = (idx, type) =>
+    state[idx].alloc[type] > 0 ? { key: null } : fullest(opts.channelsFor?.(targets[idx], type));
+  const draw = (key, n) => {
+    if (key !== null) drawn[key] = (drawn[key] ?? 0) + n;
+  };
+
+  function bestFor(idx) {
+    const s = state[idx];
+    let best = null;
+    for (const type of types) {
+      if (remaining[type] <= 0) continue;
+      if (!sourceFor(idx, type) || !channelFor(idx, type)) continue;
+      if ((s.alloc[type] ?? 0) >= (opts.maxShotsByType?.[type] ?? Infinity)) continue;
+      const cost = opts.costs[type] ?? 0;
+      if (cost > budget_M) continue;
+      const killGain = s.survival * opts.pkFor(targets[idx], type);
+      const gain = perDollar ? killGain / Math.max(cost, 1e-3) : killGain;
+      if (gain > 0 && (!best || gain > best.gain)) best = { idx, type, gain };
+    }
+    return best;
+  }
+
+  const heap = [];
+  for (let i = 0; i < targets.length; i++) {
+    const entry = bestFor(i);
+    if (entry) heapPush(heap, entry);
+  }
+
+  let cost_M = 0;
+  while (heap.length > 0) {
+    const popped = heapPop(heap);
+
+    // Lazy re-evaluation: inventory or budget may have run out since the push
+    const current = bestFor(popped.idx);
+    if (!current) continue;
+    if (current.gain < popped.gain) {
+      heapPush(heap, current);
+      continue;
+    }
+
+    const s = state[current.idx];
+    const expected = opts.sequential?.[current.type] ? s.survival : 1;
+    const cost = (opts.costs[current.type] ?? 0) * expected;
+    remaining[current.type] -= expected;
+    draw(sourceFor(current.idx, current.type).key, expected);
+    draw(channelFor(current.idx, current.type).key, 1);
+    budget_M -= cost;
+    cost_M += cost;
+    s.survival *= 1 - opts.pkFor(targets[current.idx], current.type);
+    s.alloc[current.type] = (s.alloc[current.type] ?? 0) + 1;
+
+    const next = bestFor(current.idx);
+    if (next) heapPush(heap, next);
+  }
+
+  const plan = new Map();
+  targets.forEach((tgt, i) => {
+    const steps = types
+      .filter(type => state[i].alloc[type] > 0)
+      .map(type => ({ type, shots: state[i].alloc[type] }));
+    plan.set(tgt, steps);
+  });
+
+  return { plan, cost_M };
+}
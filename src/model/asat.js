@@ -0,0 +1,144 @@
+/**
+ * ASAT campaign — red attacks that destroy specific satellites before or
+ * during the raid, with random outcomes per trial.
+ *
+ * Red presets may set:
+ *   asatCampaign: {
+ *     atWave: 1,            // strike just before this wave (1 = before the raid)
+ *     weapons: [
+ *       { kind: "directAscent", shots, pk, maxAltitudeKm, target: "interceptors" | "sensors" },
+ *       { kind: "coOrbital",    shots, pk, target },
+ *       { kind: "nuclear",      detonations, altitudeKm, pKillLeo },
+ *     ],
+ *   }
+ *
+ * Satellites at risk:
+ *   - constellation shells (slots carrying boost interceptors), or each boost
+ *     interceptor when there are no shells
+ *   - space-based midcourse interceptors (one per satellite; lasers per platform)
+ *   - space sensors that list satellites and altitudeKm
+ *
+ * Each kinetic shot picks a random surviving satellite in reach and kills it
+ * with P = pk. A nuclear detonation kills each LEO satellite with
+ * P = pKillLeo × exp(−|Δaltitude| / NUCLEAR_ALTITUDE_SCALE_KM).
+ *
+ * A campaign replaces the flat countermeasures.asatDetectPenalty /
+ * asatSpacePkPenalty, which remain for presets without one.
+ */
+
+import { bernoulli, randUniform } from '../utils/rng.js';
+
+export const ASAT_WEAPON_KINDS = {
+  directAscent: { label: "Direct-ascent" },
+  coOrbital:    { label: "Co-orbital" },
+  nuclear:      { label: "Nuclear (high altitude)" },
+};
+
+const LEO_MAX_ALTITUDE_KM = 2000;
+const NUCLEAR_ALTITUDE_SCALE_KM = 500;
+
+/**
+ * Build the satellite groups a campaign can strike.
+ *
+ * @param {Object} params — scenario params
+ * @param {Object} counts — { [type]: satellites } for space interceptor types
+ *   without shells (boost types on their own, midcourse space types)
+ * @returns {Object[]} groups: { key, target, altitudeKm, total, alive }
+ */
+export function buildSatelliteGroups(params, counts) {
+  const groups = [];
+
+  (params.constellationShells ?? []).forEach((shell, i) => {
+    const total = shell.planes * shell.satsPerPlane;
+    groups.push({ key: `shell:${i}`, target: "interceptors", altitudeKm: shell.altitudeKm, total, alive: total });
+  });
+
+  for (const [type, n] of Object.entries(counts)) {
+    groups.push({
+      key: `type:${type}`,
+      target: "interceptors",
+      altitudeKm: params.constellationAltitudeKm ?? 1000,
+      total: n,
+      alive: n,
+    });
+  }
+
+  for (const [key, sensor] of Object.entries(params.sensors ?? {})) {
+    if (!(sensor.satellites > 0)) continue;
+    groups.push({
+      key: `sensor:${key}`,
+      target: "sensors",
+      altitudeKm: sensor.altitudeKm ?? 36000,
+      total: sensor.satellites,
+      alive: sensor.satellites,
+    });
+  }
+
+  return groups;
+}
+
+/**
+ * Pick a random surviving satellite from eligible groups (weighted by alive).
+ * @returns {Object|null} group
+ */
+function pickSatellite(groups) {
+  const alive = groups.reduce((sum, g) => sum + g.alive, 0);
+  if (alive <= 0) return null;
+  let u = randUniform() * alive;
+  for (const g of groups) {
+    if (u < g.alive) return g;
+    u -= g.alive;
+  }
+  return groups[groups.length - 1];
+}
+
+/**
+ * Resolve a campaign against the satellite groups. Mutates group.alive.
+ *
+ * @param {Object} campaign — params.asatCampaign
+ * @param {Object[]} groups — from buildSatelliteGroups()
+ * @returns {{ interceptors: number, sensors: number }} satellites destroyed
+ */
+export function runAsatCampaign(campaign, groups) {
+  const lost = { interceptors: 0, sensors: 0 };
+
+  for (const weapon of campaign.weapons ?? []) {
+    if (weapon.kind === "nuclear") {
+      for (let n = 0; n < (weapon.detonations ?? 1); n++) {
+        for (const g of groups) {
+          if (g.altitudeKm > LEO_MAX_ALTITUDE_KM) continue;
+          const p = (weapon.pKillLeo ?? 0) *
+            Math.exp(-Math.abs(g.altitudeKm - weapon.altitudeKm) / NUCLEAR_ALTITUDE_SCALE_KM);
+          let killed = 0;
+          for (let s = 0; s < g.alive; s++) if (bernoulli(p)) killed++;
+          g.alive -= killed;
+          lost[g.target] += killed;
+        }
+      }
+      continue;
+    }
+
+    // Kinetic: direct-ascent (altitude-limited) or co-orbital
+    const target = weapon.target ?? "interceptors";
+    const maxAltitudeKm = weapon.maxAltitudeKm ?? Infinity;
+    const eligible = groups.filter(g => g.target === target && g.altitudeKm <= maxAltitudeKm);
+    for (let s = 0; s < (weapon.shots ?? 0); s++) {
+      const g = pickSatellite(eligible);
+      if (!g) break;
+      if (bernoulli(weapon.pk ?? 1)) {
+        g.alive -= 1;
+        lost[target] += 1;
+      }
+    }
+  }
+
+  return lost;
+}
+
+/**
+ * Surviving share of a group, by key.
+ */
+export function groupSurvival(groups, key) {
+  const g = groups.find(x => x.key === key);
+  return g && g.total > 0 ? g.alive / g.total : 1;
+}
@@ -0,0 +1,89 @@
+/**
+ * Defended assets — blue aim points, red targeting plans, preferential defense.
+ *
+ * Blue presets list assets:
+ *   assets: { [key]: { label, kind: "city" | "base" | "command", value, lat, lon } }
+ *
+ * Red presets give each missile class a targeting plan, weighted by asset key
+ * or by asset kind (a kind's weight is spread across its assets by value):
+ *   targeting: { [className]: { [assetKey | kind]: weight } }
+ *
+ * An asset counts as lost if any warhead aimed at it penetrates.
+ */
+
+import { randUniform } from '../utils/rng.js';
+
+export const ASSET_KINDS = {
+  city:    { label: "City" },
+  base:    { label: "Military Base" },
+  command: { label: "Command Node" },
+};
+
+/**
+ * Build per-class cumulative aim-point tables from a targeting plan.
+ *
+ * @param {Object} assets — blue asset catalog
+ * @param {Object} targeting — red targeting plan
+ * @returns {Object} { [className]: { keys: string[], cumulative: number[] } }
+ */
+export function buildTargetingTables(assets, targeting = {}) {
+  const tables = {};
+
+  for (const [className, plan] of Object.entries(targeting)) {
+    const weights = {};
+
+    for (const [ref, weight] of Object.entries(plan)) {
+      if (assets[ref]) {
+        weights[ref] = (weights[ref] ?? 0) + weight;
+        continue;
+      }
+      // Kind weight: spread across that kind's assets in proportion to value
+      const ofKind = Object.keys(assets).filter(k => assets[k].kind === ref);
+      const kindValue = ofKind.reduce((sum, k) => sum + assets[k].value, 0);
+      for (const k of ofKind) {
+        if (kindValue > 0) weights[k] = (weights[k] ?? 0) + weight * assets[k].value / kindValue;
+      }
+    }
+
+    const keys = Object.keys(weights);
+    const total = keys.reduce((sum, k) => sum + weights[k], 0);
+    if (total <= 0) continue;
+
+    let acc = 0;
+    const cumulative = keys.map(k => (acc += weights[k] / total));
+    tables[className] = { keys, cumulative };
+  }
+
+  return tables;
+}
+
+/**
+ * Draw an aim point for one warhead of a class.
+ * @returns {string|null} asset key, or null if the class has no targeting plan
+ */
+export function drawAimPoint(tables, className) {
+  const table = tables[className];
+  if (!table) return null;
+  const u = randUniform();
+  const idx = table.cumulative.findIndex(c => u < c);
+  return table.keys[idx === -1 ? table.keys.length - 1 : idx];
+}
+
+/**
+ * Assets the defense will engage for under preferential defense.
+ * Top-N by value; null/undefined topN defends every asset.
+ *
+ * @returns {Set<string>|null} null when every asset is defended
+ */
+export function defendedAssetSet(assets, topN) {
+  if (topN == null) return null;
+  const ranked = Object.keys(assets).sort((a, b) => assets[b].value - assets[a].value);
+  return new Set(ranked.slice(0, topN));
+}
+
+/**
+ * Total value of an asset catalog.
+ */
+export function totalAssetValue(assets) {
+  return Object.values(assets).reduce((sum, a) => sum + a.value, 0);
+}
@@ -0,0 +1,73 @@
+/**
+ * Interceptor basing — batteries at fixed sites with engagement footprints.
+ *
+ * An interceptor type may list batteries:
+ *   batteries: [{ site, label, lat, lon, deployed, footprintKm }]
+ * Each battery holds its own inventory and can only engage warheads aimed at a
+ * point within footprintKm of its site. Types without batteries (space-based
+ * layers) keep a single pooled inventory that can engage anywhere.
+ */
+
+const R_EARTH = 6371; // km
+const DEG = Math.PI / 180;
+
+/**
+ * Great-circle distance between two lat/lon points (degrees), in km.
+ */
+export function greatCircleKm(lat1, lon1, lat2, lon2) {
+  const dLat = (lat2 - lat1) * DEG;
+  const dLon = (lon2 - lon1) * DEG;
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1 * DEG) * Math.cos(lat2 * DEG) * Math.sin(dLon / 2) ** 2;
+  return 2 * R_EARTH * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Precompute which batteries of each based type cover each asset.
+ *
+ * @param {Object} interceptors — interceptor configs
+ * @param {Object} assets — asset catalog ({ lat, lon } per asset)
+ * @returns {Object} { [type]: { [assetKey]: number[] } } battery indices; based types only
+ */
+export function buildFootprintCoverage(interceptors, assets = {}) {
+  const coverage = {};
+  for (const [type, cfg] of Object.entries(interceptors)) {
+    if (!cfg.batteries) continue;
+    coverage[type] = {};
+    for (const [key, asset] of Object.entries(assets)) {
+      coverage[type][key] = [];
+      cfg.batteries.forEach((b, i) => {
+        if (greatCircleKm(b.lat, b.lon, asset.lat, asset.lon) <= b.footprintKm) {
+          coverage[type][key].push(i);
+        }
+      });
+    }
+  }
+  return coverage;
+}
+
+/**
+ * Batteries of a type able to engage a target.
+ *
+ * @returns {number[]|null} battery indices, or null if the type is not based
+ *   (pooled) or the target has no aim point
+ */
+export function coveringBatteries(coverage, type, aimPoint) {
+  if (!coverage[type] || aimPoint == null) return null;
+  return coverage[type][aimPoint] ?? [];
+}
+
+/**
+ * Draw shots from covering batteries, fullest first. Mutates batteryInventory.
+ */
+export function drawFromBatteries(batteryInventory, indices, shots) {
+  const order = [...indices].sort((a, b) => batteryInventory[b] - batteryInventory[a]);
+  let remaining = shots;
+  for (const i of order) {
+    if (remaining <= 0) break;
+    const take = Math.min(batteryInventory[i], remaining);
+    batteryInventory[i] -= take;
+    remaining -= take;
+  }
+}
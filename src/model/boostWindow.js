@@ -0,0 +1,113 @@
+/**
+ * Boost-phase engagement windows — timing from booster burn time and
+ * interceptor flyout.
+ *
+ * Missile classes carry a booster type and (optionally) an explicit burn time:
+ *   { boosterType: "liquid" | "solid" | "fastSolid", burnTimeSec }
+ * Boost interceptors carry kinematics:
+ *   kinetic:  { divertVelocityKmS, flyoutTimeSec }
+ *   directed: { rangeKm }   (fixed reach; lasers are dwell-limited, see directedEnergy.js)
+ *
+ * The engagement window is the burn time less the detect-and-commit delay
+ * (params.boostDecisionDelaySec). A kinetic interceptor needs flyoutTimeSec
+ * of fixed overhead (release, acquisition, homing) and covers ground at its
+ * divert velocity for the rest of the window, so
+ *   reachKm = divertVelocityKmS × (window − flyoutTimeSec)
+ * Sequential shots (shot-look-shot) each need a full flyout, so at most
+ * floor(window / flyoutTimeSec) fit. Types without kinematics keep the
+ * constellation's default reach and are not limited in shots.
+ */
+
+export const BOOSTER_TYPES = {
+  liquid:    { label: "Liquid",          burnTimeSec: 300 },
+  solid:     { label: "Solid",           burnTimeSec: 180 },
+  fastSolid: { label: "Fast-burn solid", burnTimeSec: 100 },
+};
+
+export const BOOST_DEFAULTS = {
+  decisionDelaySec: 45,
+};
+
+/**
+ * Burn time of a missile class: explicit, else from its booster type.
+ * @returns {number|null} null if the class has neither
+ */
+export function burnTimeSec(cls) {
+  return cls.burnTimeSec ?? BOOSTER_TYPES[cls.boosterType]?.burnTimeSec ?? null;
+}
+
+/**
+ * Time left to engage after detection and commit.
+ * @returns {number|null} seconds, or null if the class has no burn time
+ */
+export function engagementWindowSec(cls, params) {
+  const burn = burnTimeSec(cls);
+  if (burn == null) return null;
+  const delay = params.boostDecisionDelaySec ?? BOOST_DEFAULTS.decisionDelaySec;
+  return Math.max(0, burn - delay);
+}
+
+/**
+ * When a class can be engaged, in minutes after its launch: from the commit
+ * decision to burnout. Zero-length at launch if the class has no burn time.
+ * @returns {{ startMin: number, spanMin: number }}
+ */
+export function engagementSpanMin(cls, params) {
+  const burn = burnTimeSec(cls);
+  if (burn == null) return { startMin: 0, spanMin: 0 };
+  const window = engagementWindowSec(cls, params);
+  return { startMin: (burn - window) / 60, spanMin: window / 60 };
+}
+
+/**
+ * How long a satellite stays in reach of a launch, in minutes: about the
+ * longest burn of any class (0 if no class has one). Waves launched closer
+ * together than this see the same satellites.
+ */
+export function boostPassMin(params) {
+  const burns = Object.values(params.missileClasses ?? {}).map(cls => burnTimeSec(cls) ?? 0);
+  return Math.max(0, ...burns) / 60;
+}
+
+/**
+ * True if an interceptor type has boost kinematics.
+ */
+export function hasKinematics(cfg) {
+  return cfg.divertVelocityKmS != null || cfg.rangeKm != null;
+}
+
+/**
+ * Ground reach of an interceptor type against a missile class.
+ * @returns {number|null} km; null = no timing model (use the default reach)
+ */
+export function boostReachKm(cfg, cls, params) {
+  const window = engagementWindowSec(cls, params);
+  if (window == null || !hasKinematics(cfg)) return null;
+
+  const flyout = cfg.flyoutTimeSec ?? 0;
+  if (window <= flyout) return 0;
+  if (cfg.rangeKm != null) return cfg.rangeKm;
+  return cfg.divertVelocityKmS * (window - flyout);
+}
+
+/**
+ * Sequential shots of a type that fit in a class's window.
+ * @returns {number} Infinity when there is no timing model
+ */
+export function shotsInWindow(cfg, cls, params) {
+  const window = engagementWindowSec(cls, params);
+  if (window == null || !hasKinematics(cfg) || !(cfg.flyoutTimeSec > 0)) return Infinity;
+  return Math.floor(window / cfg.flyoutTimeSec);
+}
+
+/**
+ * Cap a doctrine's shots per target at the shots that fit in the window.
+ * A barrage is fired at once, so it fits whenever one flyout does.
+ */
+export function windowDoctrine(doctrine, shots) {
+  if (shots === Infinity) return doctrine;
+  return {
+    ...doctrine,
+    maxShotsPerTarget: Math.min(doctrine.maxShotsPerTarget, shots),
+  };
+}
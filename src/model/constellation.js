@@ -0,0 +1,169 @@
+/**
+ * Space-based interceptor constellation — orbital shells and launch geography.
+ *
+ * Blue presets describe the constellation as Walker-type shells:
+ *   constellationShells: [{ label, altitudeKm, inclinationDeg, planes, satsPerPlane, phasing }]
+ * Each boost interceptor type's deployed count is spread evenly over every
+ * satellite slot in every shell.
+ *
+ * Red presets give launch areas, and each missile class names its own:
+ *   launchAreas: { [key]: { label, lat, lon } }
+ *   missileClasses[className].launchArea: key
+ *
+ * The slots in reach of a launch area are found by propagating each shell
+ * (circular orbits, rotating Earth) over the boost engagement window: a slot
+ * counts if it comes within reach at any time in the window. Reach comes
+ * from that window too (see boostWindow.js), capped at the shell's horizon.
+ * The constellation's phase relative to the launch is unknown in advance, so
+ * a random epoch is drawn per trial. Slots in reach of two launch areas are
+ * one set of satellites, so unions of slot sets count them once.
+ *
+ * Presets without shells fall back to the static coverage fraction
+ * (constellationCoverage × regionalCoverageFactor) and a single pool.
+ */
+
+import { clamp01, randUniform } from '../utils/rng.js';
+import { constellationCoverage, orbitalPeriodMin } from './rules.js';
+import { greatCircleKm } from './basing.js';
+
+const R_EARTH = 6371; // km
+const DEG = Math.PI / 180;
+const SIDEREAL_DAY_MIN = 1436.07;
+// Step when sampling reach over a window; a LEO slot moves ~225 km in it
+const REACH_SAMPLE_MIN = 0.5;
+
+/** Pool key used when there are no shells, or a class has no launch area. */
+export const ANY_LAUNCH_AREA = "any";
+
+/**
+ * Number of satellite slots in a shell.
+ */
+export function shellSlots(shell) {
+  return shell.planes * shell.satsPerPlane;
+}
+
+/**
+ * Default reach of a shell: ground range to its horizon (the same cap the
+ * static coverage fraction uses).
+ */
+export function horizonReachKm(altitudeKm) {
+  return R_EARTH * Math.acos(R_EARTH / (R_EARTH + altitudeKm));
+}
+
+/**
+ * Draw a random constellation epoch for a trial: per shell, the along-track
+ * phase and the longitude of the first plane at launch time T+0.
+ */
+export function drawConstellationEpoch(shells = []) {
+  return shells.map(() => ({
+    u0: 2 * Math.PI * randUniform(),
+    lon0: 2 * Math.PI * randUniform(),
+  }));
+}
+
+/**
+ * A shell's slots within reachKm of a launch point at any time in
+ * [tMin, tMin + windowMin], sampled every REACH_SAMPLE_MIN (and at both ends).
+ *
+ * @param {Object} shell — { altitudeKm, inclinationDeg, planes, satsPerPlane, phasing }
+ * @param {Object} launch — { lat, lon } in degrees
+ * @param {number} tMin — minutes after the trial epoch
+ * @param {Object} epoch — { u0, lon0 } from drawConstellationEpoch()
+ * @param {number} reachKm — ground range an interceptor can cover
+ * @param {number} [windowMin=0] — length of the window; 0 checks tMin alone
+ * @returns {number[]} slot indices (plane × satsPerPlane + slot)
+ */
+export function slotsInReach(shell, launch, tMin, epoch, reachKm, windowMin = 0) {
+  const inc = shell.inclinationDeg * DEG;
+  const P = shell.planes;
+  const S = shell.satsPerPlane;
+  const F = shell.phasing ?? 1;
+  const meanMotion = (2 * Math.PI) / orbitalPeriodMin(shell.altitudeKm);
+  const steps = Math.ceil(Math.max(0, windowMin) / REACH_SAMPLE_MIN);
+
+  const inReach = [];
+  for (let p = 0; p < P; p++) {
+    const raan = (2 * Math.PI * p) / P + epoch.lon0;
+    for (let s = 0; s < S; s++) {
+      const u0 = (2 * Math.PI * s) / S + (2 * Math.PI * F * p) / (P * S) + epoch.u0;
+      for (let k = 0; k <= steps; k++) {
+        const t = tMin + (steps === 0 ? 0 : (windowMin * k) / steps);
+        const u = u0 + meanMotion * t;
+        const earthTurn = (2 * Math.PI * t) / SIDEREAL_DAY_MIN;
+        const lat = Math.asin(Math.sin(inc) * Math.sin(u));
+        const lon = raan + Math.atan2(Math.cos(inc) * Math.sin(u), Math.cos(u)) - earthTurn;
+        if (greatCircleKm(launch.lat, launch.lon, lat / DEG, lon / DEG) <= reachKm) {
+          inReach.push(p * S + s);
+          break;
+        }
+      }
+    }
+  }
+  return inReach;
+}
+
+/**
+ * Boost pool key for a missile class.
+ */
+export function launchAreaKey(params, className) {
+  if (!params.constellationShells) return ANY_LAUNCH_AREA;
+  return params.missileClasses?.[className]?.launchArea ?? ANY_LAUNCH_AREA;
+}
+
+/**
+ * Number of satellite slots over all shells (0 without shells).
+ */
+export function totalSlots(params) {
+  return (params.constellationShells ?? []).reduce((sum, sh) => sum + shellSlots(sh), 0);
+}
+
+/**
+ * Slots of the constellation in reach of a launch area at any time in
+ * [tMin, tMin + windowMin], keyed "shell:slot" so sets for several areas
+ * can be merged without counting a satellite twice.
+ *
+ * @param {Object} params — scenario params
+ * @param {string} areaKey — from launchAreaKey()
+ * @param {number|null} reachKm — interceptor ground reach; null = each shell's horizon
+ * @param {number} tMin — start of the window, minutes after the trial epoch
+ * @param {Object[]} epoch — from drawConstellationEpoch()
+ * @param {number} [windowMin=0] — length of the window
+ * @returns {Set<string>|null} null when the static fallback applies
+ */
+export function launchAreaSlots(params, areaKey, reachKm, tMin, epoch, windowMin = 0) {
+  const shells = params.constellationShells;
+  const area = params.launchAreas?.[areaKey];
+  if (!shells || !area || totalSlots(params) === 0) return null;
+
+  const slots = new Set();
+  shells.forEach((shell, i) => {
+    const horizon = horizonReachKm(shell.altitudeKm);
+    const reach = Math.min(reachKm ?? horizon, horizon);
+    for (const slot of slotsInReach(shell, area, tMin, epoch[i], reach, windowMin)) {
+      slots.add(`${i}:${slot}`);
+    }
+  });
+  return slots;
+}
+
+/**
+ * Fraction of the constellation in reach of a launch area over a window.
+ * Arguments as launchAreaSlots().
+ *
+ * @returns {number}
+ */
+export function launchAreaFraction(params, areaKey, reachKm, tMin, epoch, windowMin = 0) {
+  const slots = launchAreaSlots(params, areaKey, reachKm, tMin, epoch, windowMin);
+
+  if (!slots) {
+    // Static fallback: spherical cap of the reach (or horizon) around the area
+    const altitudeKm = params.constellationAltitudeKm ?? 1000;
+    if (reachKm == null) {
+      return constellationCoverage(altitudeKm, params.regionalCoverageFactor ?? 1.0);
+    }
+    const theta = Math.min(reachKm, horizonReachKm(altitudeKm)) / R_EARTH;
+    return clamp01(((1 - Math.cos(theta)) / 2) * (params.regionalCoverageFactor ?? 1.0));
+  }
+
+  return slots.size / totalSlots(params);
+}
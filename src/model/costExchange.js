@@ -0,0 +1,142 @@
+/**
+ * Cost exchange — what the raid costs red against what the defense costs blue.
+ *
+ * Red unit costs ($M):
+ *   missileClasses[c].unitCost_M  — per missile, with its reentry vehicles
+ *   missileClasses[c].decoyCost_M — per generic decoy (decoysPerWarhead)
+ *   cruiseClasses[c].unitCost_M   — per cruise missile
+ *   CM_CATALOG[item].unitCost_M   — per countermeasure item carried (cmLoadout)
+ *
+ * The marginal cost-exchange ratio is opt-in: set params.costExchangeStep
+ * (e.g. 0.1) to rerun the scenario with the red force grown by that share.
+ * The defender dollars needed to offset the extra attacker dollars are the
+ * extra interceptors expended, plus the extra penetrating warheads bought
+ * down at the defense's realized cost per kill. Above 1, the defense loses
+ * the exchange at the margin. Both runs seed trial i alike (see monteCarlo.js),
+ * so the ratio and its standard error come from per-trial differences.
+ */
+
+import { cmItem } from './countermeasures.js';
+import { isLaser, laserShotCost } from './directedEnergy.js';
+
+/**
+ * Cost of one shot of an interceptor type: a round, or a laser dwell.
+ */
+export function shotCost(cfg) {
+  return isLaser(cfg) ? laserShotCost(cfg) : cfg.costPerUnit_M ?? 0;
+}
+
+/**
+ * Interceptor dollars a trial expended.
+ * @param {Object} shotsByType — { [type]: shots } from one trial
+ */
+export function trialSpend(params, shotsByType) {
+  let spent_M = 0;
+  for (const [type, shots] of Object.entries(shotsByType)) {
+    spent_M += shots * shotCost(params.interceptors[type]);
+  }
+  return spent_M;
+}
+
+/**
+ * Cost of one missile of a class with its decoys and countermeasures.
+ */
+export function missileUnitCost(cls) {
+  const warheads = cls.mirvsPerMissile ?? 1;
+  let cost_M = (cls.unitCost_M ?? 0) + warheads * (cls.decoysPerWarhead ?? 0) * (cls.decoyCost_M ?? 0);
+  for (const [key, n] of Object.entries(cls.cmLoadout ?? {})) {
+    const item = cmItem(key);
+    if (!item) continue;
+    cost_M += (item.perMissile ? 1 : warheads) * n * (item.unitCost_M ?? 0);
+  }
+  return cost_M;
+}
+
+/**
+ * Total cost of the red raid (every class's count, all waves).
+ * @returns {number} $M
+ */
+export function computeAttackerCost(params) {
+  let total_M = 0;
+  for (const cls of Object.values(params.missileClasses ?? {})) {
+    total_M += cls.count * missileUnitCost(cls);
+  }
+  for (const cls of Object.values(params.cruiseClasses ?? {})) {
+    total_M += cls.count * (cls.unitCost_M ?? 0);
+  }
+  return total_M;
+}
+
+/**
+ * The same scenario with every red class grown by a fraction. Wave counts
+ * are scaled and each class's count is kept equal to its sum over the waves.
+ */
+export function scaleRedForce(params, step) {
+  const grow = n => Math.round(n * (1 + step));
+  const waves = params.waves?.map(wave => ({
+    ...wave,
+    counts: wave.counts
+      ? Object.fromEntries(Object.entries(wave.counts).map(([c, n]) => [c, grow(n)]))
+      : wave.counts,
+  }));
+
+  function scaleClasses(classes) {
+    if (!classes) return classes;
+    const scaled = {};
+    for (const [className, cls] of Object.entries(classes)) {
+      const inWaves = waves?.filter(w => w.counts?.[className] != null);
+      const count = inWaves?.length > 0
+        ? inWaves.reduce((sum, w) => sum + w.counts[className], 0)
+        : grow(cls.count);
+      scaled[className] = { ...cls, count };
+    }
+    return scaled;
+  }
+
+  return {
+    ...params,
+    missileClasses: scaleClasses(params.missileClasses),
+    cruiseClasses: scaleClasses(params.cruiseClasses),
+    waves,
+  };
+}
+
+/**
+ * Marginal cost exchange between a run and its paired rerun with a larger
+ * red force. Each run: { summary, penReal, defenderSpent_M } with per-trial
+ * arrays in trial order.
+ * @returns {Object|null} null when the larger force costs red nothing more
+ */
+export function marginalCostExchange(base, grown, step) {
+  const b = base.summary.costExchange;
+  const extraAttackerCost_M = grown.summary.costExchange.attackerCost_M - b.attackerCost_M;
+  if (!(extraAttackerCost_M > 0)) return null;
+
+  const n = base.penReal.length;
+  const dPen = base.penReal.map((pen, i) => grown.penReal[i] - pen);
+  const dSpent = base.defenderSpent_M.map((spent, i) => grown.defenderSpent_M[i] - spent);
+  const extraPenetrated = dPen.reduce((a, x) => a + x, 0) / n;
+  const extraDefenderConsumed_M = dSpent.reduce((a, x) => a + x, 0) / n;
+
+  let defenderCostToOffset_M = null;
+  let ratioStdErr = null;
+  if (b.defenderCostPerKill_M != null) {
+    // Offset per trial pair; its spread across pairs gives the standard error
+    const offsets = dSpent.map((spent, i) => spent + dPen[i] * b.defenderCostPerKill_M);
+    defenderCostToOffset_M = offsets.reduce((a, x) => a + x, 0) / n;
+    if (n > 1) {
+      const variance = offsets.reduce((a, x) => a + (x - defenderCostToOffset_M) ** 2, 0) / (n - 1);
+      ratioStdErr = Math.sqrt(variance / n) / extraAttackerCost_M;
+    }
+  }
+
+  return {
+    step,
+    extraAttackerCost_M,
+    extraPenetrated,
+    extraDefenderConsumed_M,
+    defenderCostToOffset_M,
+    ratio: defenderCostToOffset_M != null ? defenderCostToOffset_M / extraAttackerCost_M : null,
+    ratioStdErr,
+  };
+}
@@ -0,0 +1,110 @@
+/**
+ * Countermeasure catalog — penetration aids a red missile class can carry.
+ *
+ * A class equips items by count per warhead (per missile for items marked
+ * perMissile):
+ *   cmLoadout: { replica: 4, chaff: 1, submunitions: 1, ... }
+ * The class's generic decoysPerWarhead still applies alongside the loadout.
+ *
+ * Each item may set:
+ *   objects            — deploys objects the defense must track and classify
+ *   perMissile         — count is per missile rather than per warhead
+ *   pFalseAlarm        — { midcourse, terminal }: P(object classified as a
+ *                        warhead), in place of pFalseAlarmDecoy
+ *   pkFactor           — Pk multiplier for shots at the object
+ *   pBurnup            — P(object burns up on reentry), in place of pDecoyBurnup
+ *   warheadDetectFactor — { [phase]: f }: masks the warheads it accompanies
+ *   pBoostEscape       — P(the payload is released before a boost kill lands,
+ *                        so the warheads continue)
+ *   unitCost_M         — cost per item carried (see costExchange.js)
+ */
+
+export const CM_CATALOG = {
+  replica: {
+    label: "Light replica decoy",
+    objects: true,
+    pFalseAlarm: { midcourse: 0.25, terminal: 0.05 },
+    pkFactor: 1.0,
+    pBurnup: 0.90,
+    unitCost_M: 0.05,
+  },
+  highFidelity: {
+    label: "High-fidelity decoy",
+    objects: true,
+    pFalseAlarm: { midcourse: 0.60, terminal: 0.30 },
+    pkFactor: 1.0,
+    pBurnup: 0.30,
+    unitCost_M: 1.0,
+  },
+  balloon: {
+    label: "Balloon",
+    objects: true,
+    pFalseAlarm: { midcourse: 0.45, terminal: 0.0 },
+    pkFactor: 1.2,
+    pBurnup: 1.0,
+    unitCost_M: 0.02,
+  },
+  chaff: {
+    label: "Chaff cloud",
+    objects: true,
+    pFalseAlarm: { midcourse: 0.10, terminal: 0.0 },
+    pkFactor: 1.0,
+    pBurnup: 1.0,
+    warheadDetectFactor: { midcourse: 0.8 },
+    unitCost_M: 0.01,
+  },
+  submunitions: {
+    label: "Early-release submunitions",
+    objects: false,
+    pBoostEscape: 0.5,
+    unitCost_M: 2.0,
+  },
+  boosterFragments: {
+    label: "Booster fragmentation",
+    objects: true,
+    perMissile: true,
+    pFalseAlarm: { midcourse: 0.15, terminal: 0.0 },
+    pkFactor: 1.0,
+    pBurnup: 1.0,
+    unitCost_M: 0.1,
+  },
+};
+
+/**
+ * Catalog entry for an item key (unknown keys are ignored by callers).
+ */
+export function cmItem(key) {
+  return CM_CATALOG[key] ?? null;
+}
+
+/**
+ * P(an object is classified as a warhead) in a phase.
+ * @param {number} fallback — pFalseAlarmDecoy for generic decoys
+ */
+export function cmFalseAlarm(key, phase, fallback) {
+  return cmItem(key)?.pFalseAlarm?.[phase] ?? fallback;
+}
+
+/**
+ * Detection multiplier a class's loadout imposes on its own warheads.
+ */
+export function loadoutDetectFactor(loadout, phase) {
+  let factor = 1;
+  for (const [key, n] of Object.entries(loadout ?? {})) {
+    const f = cmItem(key)?.warheadDetectFactor?.[phase];
+    if (n > 0 && f != null) factor *= f;
+  }
+  return factor;
+}
+
+/**
+ * P(a class's payload escapes a boost kill), from its loadout.
+ */
+export function loadoutBoostEscape(loadout) {
+  let pStay = 1;
+  for (const [key, n] of Object.entries(loadout ?? {})) {
+    const p = cmItem(key)?.pBoostEscape;
+    if (n > 0 && p != null) pStay *= 1 - p;
+  }
+  return 1 - pStay;
+}
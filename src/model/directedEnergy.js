@@ -0,0 +1,78 @@
+/**
+ * Directed-energy weapons — lasers limited by dwell time and magazine, not
+ * by a count of interceptors.
+ *
+ * A laser type sets weaponKind: "laser". Its deployed count is platforms, and
+ * its Pk is per dwell (one attempt held on one target):
+ *   { weaponKind: "laser", dwellTimeSec, retargetTimeSec, magazineShots,
+ *     timelineSec, inViewFraction, costPerShot_M }
+ *
+ * Each dwell spends one magazine shot (stored energy, shared across the
+ * trial) and dwellTimeSec + retargetTimeSec of platform time. Platform time
+ * is budgeted per phase of each wave: platforms in view × engagement
+ * timeline. In boost the platforms in view are those in reach of the launch
+ * area and the timeline is the longest engagement window among the classes
+ * launched from it; elsewhere they are inViewFraction of the deployed
+ * platforms over timelineSec. Dense raids therefore get fewer dwells per
+ * target.
+ */
+
+export const LASER_DEFAULTS = {
+  dwellTimeSec: 10,
+  retargetTimeSec: 2,
+  magazineShots: 20,
+  timelineSec: 600,
+  inViewFraction: 1.0,
+};
+
+/**
+ * True if an interceptor type is a directed-energy weapon.
+ */
+export function isLaser(cfg) {
+  return cfg.weaponKind === "laser";
+}
+
+/**
+ * Laser settings for a type, with defaults.
+ */
+export function laserParams(cfg) {
+  return {
+    dwellTimeSec: cfg.dwellTimeSec ?? LASER_DEFAULTS.dwellTimeSec,
+    retargetTimeSec: cfg.retargetTimeSec ?? LASER_DEFAULTS.retargetTimeSec,
+    magazineShots: cfg.magazineShots ?? LASER_DEFAULTS.magazineShots,
+    timelineSec: cfg.timelineSec ?? LASER_DEFAULTS.timelineSec,
+    inViewFraction: cfg.inViewFraction ?? LASER_DEFAULTS.inViewFraction,
+  };
+}
+
+/**
+ * Cost of one dwell: costPerShot_M, else the platform's costPerUnit_M
+ * amortized over its magazine.
+ */
+export function laserShotCost(cfg) {
+  return cfg.costPerShot_M ?? (cfg.costPerUnit_M ?? 0) / laserParams(cfg).magazineShots;
+}
+
+/**
+ * Platform time one dwell occupies (dwell plus slew to the next target).
+ */
+export function dwellCycleSec(cfg) {
+  const lp = laserParams(cfg);
+  return lp.dwellTimeSec + lp.retargetTimeSec;
+}
+
+/**
+ * Total shots stored across all platforms of a laser type.
+ */
+export function laserMagazine(cfg) {
+  return cfg.deployed * laserParams(cfg).magazineShots;
+}
+
+/**
+ * Platform time available to a laser type in a non-boost phase.
+ * @param {number} [platforms] — surviving platforms (defaults to deployed)
+ */
+export function laserPhaseTimeSec(cfg, platforms = cfg.deployed) {
+  const lp = laserParams(cfg);
+  return Math.floor(platforms * lp.inViewFraction) * lp.timelineSec;
+}
@@ -0,0 +1,122 @@
+/**
+ * Fire doctrine — shot doctrine plus inventory management (reserves and
+ * low-inventory shot reduction).
+ *
+ * Shot doctrine (doctrineMode, shotsPerTarget, maxShotsPerTarget, pReengage)
+ * is global by default and can be overridden per phase (params.phaseDoctrine)
+ * and then per interceptor type (interceptors[type].doctrine).
+ *
+ * Kill assessment (pMissedKill, pFalseKill; see engagement.js) resolves the
+ * same way, unless a sensor covering the phase provides its own
+ * (sensors.phaseKillAssessment).
+ *
+ * Reserve options:
+ *   reserveFraction          — share of each type's inventory held back
+ *                              (reserve fields may also be set per phase or per type)
+ *   reserveCount             — { [type]: n } fixed number held back (the larger of the two applies)
+ *   reserveReleaseAfter      — in the final wave, the reserve is released once this
+ *                              share of a phase's engageable targets has been engaged
+ *                              (0 = released at the start of the final wave)
+ *   highValueReserveFraction — share of terminal inventory fired only at high-value targets
+ *   highValueClasses         — missile classes treated as aimed at high-value defended areas
+ *   highValueMinAssetValue   — targets aimed at an asset worth at least this are high-value
+ *
+ * Low-inventory option:
+ *   lowInventoryThreshold — when a type falls below this share of its starting inventory...
+ *   lowInventoryShots     — ...shots per target (barrage) / max shots (SLS) are capped at this
+ */
+
+/**
+ * Build the doctrine object used by the engine from scenario params.
+ */
+export function buildDoctrine(params) {
+  return {
+    doctrineMode: params.doctrineMode,
+    shotsPerTarget: params.shotsPerTarget,
+    maxShotsPerTarget: params.maxShotsPerTarget,
+    pReengage: params.pReengage,
+    pMissedKill: params.pMissedKill ?? 0,
+    pFalseKill: params.pFalseKill ?? 0,
+
+    reserveFraction: params.reserveFraction ?? 0,
+    reserveCount: params.reserveCount ?? {},
+    reserveReleaseAfter: params.reserveReleaseAfter ?? 0,
+    highValueReserveFraction: params.highValueReserveFraction ?? 0,
+    highValueClasses: params.highValueClasses ?? [],
+    highValueMinAssetValue: params.highValueMinAssetValue ?? Infinity,
+
+    lowInventoryThreshold: params.lowInventoryThreshold ?? 0,
+    lowInventoryShots: params.lowInventoryShots ?? 1,
+  };
+}
+
+/**
+ * Resolve the shot doctrine for every interceptor type:
+ * global → params.phaseDoctrine[phase] → interceptors[type].doctrine.
+ *
+ * @param {Object} params — scenario params with params.interceptors
+ * @param {Object} doctrine — from buildDoctrine()
+ * @returns {Object} { [type]: doctrine }
+ */
+export function buildTypeDoctrines(params, doctrine) {
+  const byType = {};
+  for (const [type, cfg] of Object.entries(params.interceptors)) {
+    byType[type] = {
+      ...doctrine,
+      ...params.phaseDoctrine?.[cfg.phase],
+      ...cfg.doctrine,
+    };
+  }
+  return byType;
+}
+
+/**
+ * True if a target may draw on the high-value terminal reserve.
+ * @param {Object} [assets] — blue asset catalog, for aim-point value
+ */
+export function isHighValueTarget(tgt, doctrine, assets) {
+  if (doctrine.highValueClasses.includes(tgt.missileClass)) return true;
+  const asset = tgt.aimPoint != null ? assets?.[tgt.aimPoint] : null;
+  return asset ? asset.value >= doctrine.highValueMinAssetValue : false;
+}
+
+/**
+ * Number of interceptors of a type withheld from one engagement.
+ *
+ * @param {string} type
+ * @param {Object} doctrine — from buildDoctrine()
+ * @param {Object} ctx — { phase, initial, lastWave, progress, highValue }
+ *   initial  — the type's starting inventory (trial, or wave for boost)
+ *   progress — share of the phase's engageable targets already engaged (0–1)
+ * @returns {number}
+ */
+export function reserveHeld(type, doctrine, ctx) {
+  let held = 0;
+
+  const released = ctx.lastWave && ctx.progress >= doctrine.reserveReleaseAfter;
+  if (!released) {
+    held = Math.max(
+      Math.floor(ctx.initial * doctrine.reserveFraction),
+      doctrine.reserveCount[type] ?? 0
+    );
+  }
+
+  if (ctx.phase === "terminal" && !ctx.highValue) {
+    held += Math.floor(ctx.initial * doctrine.highValueReserveFraction);
+  }
+
+  return held;
+}
+
+/**
+ * Doctrine for one engagement, with shots capped once inventory runs low.
+ */
+export function shotDoctrine(doctrine, inventory, initial) {
+  const low = initial > 0 && inventory < doctrine.lowInventoryThreshold * initial;
+  if (!low) return doctrine;
+  return {
+    ...doctrine,
+    shotsPerTarget: Math.min(doctrine.shotsPerTarget, doctrine.lowInventoryShots),
+    maxShotsPerTarget: Math.min(doctrine.maxShotsPerTarget, doctrine.lowInventoryShots),
+  };
+}
@@ -1,7 +1,13 @@
 /**
  * Classification and Engagement logic.
  *
- * Supports both legacy (single interceptor type) and multi-type engagement.
+ * Supports both legacy (single interceptor type) and multi-type engagement,
+ * and both kinetic interceptors and directed-energy weapons.
+ *
+ * Shoot-look-shoot relies on kill assessment after every shot, which can be
+ * wrong both ways (doctrine fields, default 0):
+ *   pMissedKill — a real kill is assessed as a miss: the next shot is wasted
+ *   pFalseKill  — a miss is assessed as a kill: the target is let through
  */
 
 import { bernoulli } from '../utils/rng.js';
@@ -16,16 +22,84 @@ export function classifyTarget(tgt, params) {
   return bernoulli(pFalseAlarmDecoy);
 }
 
+/**
+ * True if a kill assessment with error rate p gets this look wrong.
+ */
+function misjudged(p) {
+  return p > 0 && bernoulli(p);
+}
+
+/**
+ * Fire, look, and fire again until the target is assessed killed, the cap is
+ * reached, or the re-engagement roll fails. Shots after a real kill that was
+ * assessed as a miss are wasted; a miss assessed as a kill ends the
+ * engagement with the target alive.
+ *
+ * @param {number|null} pReengage — null: always re-engage (lasers)
+ * @returns {{ killed: boolean, shotsFired: number, wastedShots: number, falseKill: boolean }}
+ */
+function shootLookShoot(pk, cap, doctrineParams, pReengage = null) {
+  const pMissedKill = doctrineParams.pMissedKill ?? 0;
+  const pFalseKill = doctrineParams.pFalseKill ?? 0;
+  let shotsFired = 0;
+  let wastedShots = 0;
+  let killed = false;
+
+  while (shotsFired < cap) {
+    shotsFired += 1;
+    if (killed) wastedShots += 1;
+    else killed = bernoulli(pk);
+
+    if (killed && !misjudged(pMissedKill)) {
+      return { killed, shotsFired, wastedShots, falseKill: false };
+    }
+    if (!killed && misjudged(pFalseKill)) {
+      return { killed, shotsFired, wastedShots, falseKill: true };
+    }
+    if (pReengage != null && !bernoulli(pReengage)) break;
+  }
+
+  return { killed, shotsFired, wastedShots, falseKill: false };
+}
+
+/**
+ * Engage a target with a laser: dwell, observe, and dwell again until the
+ * target is assessed killed or the dwell cap is reached. The laser sees each
+ * result before moving on, so there is no barrage.
+ *
+ * @param {Object} weapon — { kind: "laser", dwellCycleSec }
+ * @param {number} dwells — dwells available (magazine and platform time)
+ */
+function engageWithLaser(tgt, pk, doctrineParams, dwells, weapon) {
+  const cap = Math.min(doctrineParams.maxShotsPerTarget, dwells);
+  const res = shootLookShoot(pk, cap, doctrineParams);
+
+  return {
+    ...res,
+    inventoryRemaining: dwells - res.shotsFired,
+    timeUsedSec: res.shotsFired * weapon.dwellCycleSec,
+  };
+}
+
 /**
  * Engage a single target with a specific interceptor type's Pk and inventory.
+ * Dispatches on weapon kind: kinetic interceptors (default) or lasers.
  *
  * @param {Object} tgt — target object ({kind, id, ...})
- * @param {number} pk — probability of kill per shot for this interceptor type
- * @param {Object} doctrineParams — { doctrineMode, shotsPerTarget, maxShotsPerTarget, pReengage }
- * @param {number} inventory — remaining interceptors of this type
- * @returns {{ killed: boolean, shotsFired: number, inventoryRemaining: number }}
+ * @param {number} pk — probability of kill per shot (per dwell, for lasers)
+ * @param {Object} doctrineParams — { doctrineMode, shotsPerTarget, maxShotsPerTarget, pReengage,
+ *   pMissedKill, pFalseKill }
+ * @param {number} inventory — remaining interceptors (dwells, for lasers) of this type
+ * @param {Object} [weapon] — { kind: "laser", dwellCycleSec } for lasers
+ * @returns {{ killed: boolean, shotsFired: number, inventoryRemaining: number,
+ *   wastedShots?: number, falseKill?: boolean, timeUsedSec?: number }}
+ *   wastedShots — fired at a target already killed; falseKill — a miss assessed as a kill
  */
-export function engageWithType(tgt, pk, doctrineParams, inventory) {
+export function engageWithType(tgt, pk, doctrineParams, inventory, weapon = null) {
+  if (weapon?.kind === "laser") {
+    return engageWithLaser(tgt, pk, doctrineParams, inventory, weapon);
+  }
+
   const { doctrineMode, shotsPerTarget, maxShotsPerTarget, pReengage } = doctrineParams;
 
   if (inventory <= 0) {
@@ -55,24 +129,11 @@ export function engageWithType(tgt, pk, doctrineParams, inventory) {
 
   // Shoot-Look-Shoot (SLS)
   const cap = Math.min(maxShotsPerTarget, inventory);
-  let shotsFired = 0;
-
-  for (let s = 0; s < cap; s++) {
-    shotsFired += 1;
-    if (bernoulli(pk)) {
-      return {
-        killed: true,
-        shotsFired,
-        inventoryRemaining: inventory - shotsFired,
-      };
-    }
-    if (!bernoulli(pReengage)) break;
-  }
+  const res = shootLookShoot(pk, cap, doctrineParams, pReengage);
 
   return {
-    killed: false,
-    shotsFired,
-    inventoryRemaining: inventory - shotsFired,
+    ...res,
+    inventoryRemaining: inventory - res.shotsFired,
   };
 }
 
@@ -0,0 +1,46 @@
+/**
+ * Fire-control channels — how many engagements a battery can run in a phase.
+ *
+ * An interceptor type may set
+ *   { fireChannels, engagementTimeSec }
+ * fireChannels is per battery (per type when unbased): simultaneous
+ * engagements, each holding a channel for engagementTimeSec. Over a phase's
+ * engagement window a battery can run
+ *   floor(fireChannels × windowSec / engagementTimeSec)
+ * engagements, whatever its inventory. Windows: midcourse
+ * params.midcourseWindowSec, terminal params.terminalWindowSec. Types
+ * without fireChannels (and boost types, limited by their flyout window)
+ * are not channel-limited.
+ *
+ * Sensor track capacity (sensors[key].trackCapacity) is the detection-side
+ * limit; see sensors.js.
+ */
+
+import { TERMINAL_WINDOW_SEC } from './nuclearEffects.js';
+
+export const MIDCOURSE_WINDOW_SEC = 1200;
+
+/**
+ * Engagement window of a phase, per wave.
+ * @returns {number|null} seconds; null = no channel limit in this phase
+ */
+export function phaseWindowSec(params, phase) {
+  if (phase === "midcourse") return params.midcourseWindowSec ?? MIDCOURSE_WINDOW_SEC;
+  if (phase === "terminal") return params.terminalWindowSec ?? TERMINAL_WINDOW_SEC;
+  return null;
+}
+
+/**
+ * True if a type is limited by fire-control channels.
+ */
+export function hasFireControl(cfg) {
+  return cfg.fireChannels != null && cfg.phase !== "boost";
+}
+
+/**
+ * Engagements one battery (or an unbased type) can run in a window.
+ */
+export function engagementSlots(cfg, windowSec) {
+  const engagementTimeSec = cfg.engagementTimeSec ?? windowSec;
+  return Math.floor(cfg.fireChannels * windowSec / engagementTimeSec);
+}
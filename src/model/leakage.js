@@ -0,0 +1,49 @@
+/**
+ * Leakage attribution — why a penetrating warhead got through each phase.
+ *
+ * Every object that leaves a phase alive is tagged with one cause for that
+ * phase (obj.leakCauses[phase]); the tags of the warheads that penetrate are
+ * tallied per phase. Warheads inherit the boost tag of their missile, and
+ * cruise missiles only meet the terminal phase.
+ *
+ * A phase with no fielded type able to engage the object's trajectory is
+ * tagged noDefense whatever else happened in it.
+ */
+
+export const LEAK_CAUSES = {
+  noDefense:      "No defense in phase",
+  undetected:     "Never detected",
+  trackLost:      "Track lost at handover",
+  misclassified:  "Misclassified as a decoy",
+  notDefended:    "Aimed at an undefended asset",
+  falseKill:      "Wrong kill assessment",
+  blackout:       "Lost in nuclear blackout",
+  outOfFootprint: "Out of footprint / reach",
+  noInventory:    "No inventory left",
+  channels:       "No fire-control channel",
+  unallocated:    "No shot allocated",
+  allMissed:      "All shots missed",
+  boostEscape:    "Payload released before kill",
+};
+
+export const LEAK_PHASES = ["boost", "midcourse", "terminal"];
+
+/**
+ * Zeroed per-phase cause counts for one trial.
+ * @returns {Object} { [phase]: { [cause]: 0 } }
+ */
+export function emptyLeakCauses() {
+  const counts = {};
+  for (const phase of LEAK_PHASES) {
+    counts[phase] = Object.fromEntries(Object.keys(LEAK_CAUSES).map(cause => [cause, 0]));
+  }
+  return counts;
+}
+
+/**
+ * Cause for a failed track update in a phase.
+ * @param {string} outcome — from updateTrack()
+ */
+export function trackCause(outcome) {
+  return outcome === "lost" ? "trackLost" : "undetected";
+}
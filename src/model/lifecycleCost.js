@@ -0,0 +1,103 @@
+/**
+ * Lifecycle cost — what an architecture costs to build and keep over a
+ * horizon (params.lifecycleYears, default 20), from the COST_CURVES catalog.
+ *
+ * Per interceptor type:
+ *   RDT&E         — one-time
+ *   procurement   — units on a learning curve: unit n costs
+ *                   unitCost_M × n^log2(learningRate), plus launch for satellites
+ *   O&S           — oAndSFraction of procurement, every year
+ *   replenishment — satellites replaced at the end of each lifetimeYears
+ *                   within the horizon, further down the learning curve
+ *
+ * Replacing the interceptors expended in one engagement is reported beside
+ * the lifecycle total, not in it. Lasers expend no rounds. A type missing
+ * from the catalog falls back to its costPerUnit_M with no learning, RDT&E,
+ * O&S or replenishment.
+ */
+
+import { COST_CURVES } from '../../data/cost_curves.js';
+import { isLaser } from './directedEnergy.js';
+
+export const LIFECYCLE_YEARS = 20;
+
+/**
+ * Cost curve of an interceptor type, catalog entry over defaults.
+ */
+export function costCurve(type, cfg) {
+  const curve = COST_CURVES[type] ?? {};
+  return {
+    unitCost_M: curve.unitCost_M ?? cfg.costPerUnit_M ?? 0,
+    learningRate: curve.learningRate ?? 1,
+    rdte_M: curve.rdte_M ?? 0,
+    oAndSFraction: curve.oAndSFraction ?? 0,
+    lifetimeYears: curve.lifetimeYears ?? null,
+    launchCost_M: curve.launchCost_M ?? 0,
+  };
+}
+
+/**
+ * Cost of unit n (1-based) on a learning curve.
+ */
+export function learningUnitCost(curve, n) {
+  return curve.unitCost_M * Math.pow(n, Math.log2(curve.learningRate));
+}
+
+/**
+ * Cost of units first..last on a learning curve, launch included.
+ */
+function lotCost(curve, first, last) {
+  let cost_M = 0;
+  for (let n = first; n <= last; n++) cost_M += learningUnitCost(curve, n) + curve.launchCost_M;
+  return cost_M;
+}
+
+/**
+ * Lifecycle cost of every fielded interceptor type.
+ *
+ * @param {Object} [meanShotsByType] — { [type]: mean shots per trial }, for
+ *   replacing expended interceptors
+ * @returns {Object} { years, byType: { [type]: { rdte_M, procurement_M, oAndS_M,
+ *   replenishment_M, total_M, expendedReplacement_M } }, totals: { ...same } }
+ */
+export function computeLifecycleCost(params, meanShotsByType = {}) {
+  const years = params.lifecycleYears ?? LIFECYCLE_YEARS;
+  const byType = {};
+  const totals = {
+    rdte_M: 0,
+    procurement_M: 0,
+    oAndS_M: 0,
+    replenishment_M: 0,
+    total_M: 0,
+    expendedReplacement_M: 0,
+  };
+
+  for (const [type, cfg] of Object.entries(params.interceptors ?? {})) {
+    const deployed = cfg.deployed ?? 0;
+    if (deployed <= 0) continue;
+    const curve = costCurve(type, cfg);
+
+    const procurement_M = lotCost(curve, 1, deployed);
+    const generations = curve.lifetimeYears ? Math.max(1, Math.ceil(years / curve.lifetimeYears)) : 1;
+    const bought = deployed * generations;
+    const replenishment_M = lotCost(curve, deployed + 1, bought);
+    const oAndS_M = curve.oAndSFraction * procurement_M * years;
+
+    // Rounds fired come off the end of the production run
+    const shots = isLaser(cfg) ? 0 : meanShotsByType[type] ?? 0;
+    const expendedReplacement_M = shots * (learningUnitCost(curve, bought + 1) + curve.launchCost_M);
+
+    const t = {
+      rdte_M: curve.rdte_M,
+      procurement_M,
+      oAndS_M,
+      replenishment_M,
+      total_M: curve.rdte_M + procurement_M + oAndS_M + replenishment_M,
+      expendedReplacement_M,
+    };
+    byType[type] = t;
+    for (const key of Object.keys(totals)) totals[key] += t[key];
+  }
+
+  return { years, byType, totals };
+}
@@ -3,6 +3,19 @@
  */
 
 import { mean, percentile } from '../utils/rng.js';
+import { PHASES, CRUISE_PHASE, phaseDetectProbabilities, phaseDetectProbability, sensorsForPhase } from './sensors.js';
+import { buildDoctrine, buildTypeDoctrines } from './doctrine.js';
+import { buildFootprintCoverage } from './basing.js';
+import { shellSlots } from './constellation.js';
+import { BOOSTER_TYPES, engagementWindowSec, boostReachKm, shotsInWindow } from './boostWindow.js';
+import { isLaser, laserMagazine } from './directedEnergy.js';
+import { componentKeys, componentLabel } from './reliability.js';
+import { classProfiles } from './trajectories.js';
+import { CM_CATALOG } from './countermeasures.js';
+import { phaseWindowSec, hasFireControl, engagementSlots } from './fireControl.js';
+import { LEAK_CAUSES } from './leakage.js';
+import { computeAttackerCost, shotCost } from './costExchange.js';
+import { computeLifecycleCost } from './lifecycleCost.js';
 
 /**
  * Compute the total architecture cost (deterministic, not per-trial).
@@ -18,6 +31,138 @@ export function computeArchitectureCost(params) {
   return totalCost_M;
 }
 
+/**
+ * Nominal per-phase detection from the sensor network (system up, after ASAT).
+ * @param {Object} params — must have params.sensors
+ * @returns {Object|null} { [phase]: { pDetect, sensors: string[] } }
+ */
+export function computeSensorCoverage(params) {
+  if (!params.sensors) return null;
+  // With an ASAT campaign, sensor losses are per trial (see summary.asat)
+  const opts = {
+    asatDetectPenalty: params.asatCampaign ? 0 : params.countermeasures?.asatDetectPenalty ?? 0,
+  };
+  const pDetect = phaseDetectProbabilities(params, opts);
+  const phases = [...PHASES];
+  if (params.cruiseClasses) {
+    pDetect[CRUISE_PHASE] = phaseDetectProbability(params, CRUISE_PHASE, opts);
+    phases.push(CRUISE_PHASE);
+  }
+  const coverage = {};
+  for (const phase of phases) {
+    coverage[phase] = {
+      pDetect: pDetect[phase],
+      sensors: sensorsForPhase(params.sensors, phase),
+    };
+  }
+  return coverage;
+}
+
+/**
+ * Static coverage gaps of based interceptor types: assets outside every
+ * battery footprint of a type, and assets no type of a phase can defend.
+ * @param {Object} params — must have params.interceptors and params.assets
+ * @returns {Object|null} { byType: { [type]: string[] }, byPhase: { [phase]: string[] } } asset keys
+ */
+export function computeFootprintGaps(params) {
+  if (!params.interceptors || !params.assets) return null;
+  const coverage = buildFootprintCoverage(params.interceptors, params.assets);
+  const basedTypes = Object.keys(coverage);
+  if (basedTypes.length === 0) return null;
+
+  const uncovered = (type) =>
+    Object.keys(params.assets).filter(key => coverage[type][key].length === 0);
+
+  const byType = {};
+  for (const type of basedTypes) byType[type] = uncovered(type);
+
+  // A phase only has a gap where every one of its fielded types misses the
+  // asset; pooled (unbased) types cover everything
+  const byPhase = {};
+  for (const phase of ["midcourse", "terminal"]) {
+    const types = Object.keys(params.interceptors)
+      .filter(t => params.interceptors[t].phase === phase && params.interceptors[t].deployed > 0);
+    if (types.length === 0 || types.some(t => !coverage[t])) continue;
+    byPhase[phase] = Object.keys(params.assets)
+      .filter(key => types.every(t => byType[t].includes(key)));
+  }
+
+  return { byType, byPhase };
+}
+
+/**
+ * Boost-phase engagement windows per missile class (deterministic).
+ * @param {Object} params — must have params.missileClasses and params.interceptors
+ * @returns {Object|null} { [className]: { booster, windowSec, byType: { [type]: { reachKm, shots } } } }
+ */
+export function computeBoostWindows(params) {
+  if (!params.missileClasses || !params.interceptors) return null;
+  const boostTypes = Object.keys(params.interceptors)
+    .filter(t => params.interceptors[t].phase === "boost");
+  const windows = {};
+  for (const [className, cls] of Object.entries(params.missileClasses)) {
+    const windowSec = engagementWindowSec(cls, params);
+    if (windowSec == null) continue;
+    const byType = {};
+    for (const type of boostTypes) {
+      const cfg = params.interceptors[type];
+      byType[type] = {
+        reachKm: boostReachKm(cfg, cls, params),
+        shots: shotsInWindow(cfg, cls, params),
+      };
+    }
+    windows[className] = {
+      booster: BOOSTER_TYPES[cls.boosterType]?.label ?? cls.boosterType ?? "—",
+      windowSec,
+      byType,
+    };
+  }
+  return Object.keys(windows).length > 0 ? windows : null;
+}
+
+/**
+ * Which limit binds: sensor track capacity against the objects each phase
+ * presented, and per-type engagements denied by channels vs inventory.
+ * @returns {Object|null} { sensors: [...], fireControl: { [type]: {...} } }
+ */
+function computeCapacityLimits(params, phaseLoad, engagementLimits) {
+  const sensors = [];
+  for (const [key, sensor] of Object.entries(params.sensors ?? {})) {
+    if (sensor.trackCapacity == null) continue;
+    for (const [phase, loads] of Object.entries(phaseLoad)) {
+      if (!((sensor.pDetect?.[phase] ?? 0) > 0) || loads.length === 0) continue;
+      sensors.push({
+        key,
+        label: sensor.label ?? key,
+        phase,
+        trackCapacity: sensor.trackCapacity,
+        meanLoad: mean(loads),
+        pSaturated: loads.filter(n => n > sensor.trackCapacity).length / loads.length,
+      });
+    }
+  }
+
+  const fireControl = {};
+  for (const [type, t] of Object.entries(engagementLimits)) {
+    const cfg = params.interceptors?.[type];
+    if (!cfg) continue;
+    const channelDenied = mean(t.channelDenied ?? []);
+    const inventoryDenied = mean(t.inventoryDenied ?? []);
+    const windowSec = phaseWindowSec(params, cfg.phase);
+    fireControl[type] = {
+      slotsPerBattery: hasFireControl(cfg) && windowSec != null ? engagementSlots(cfg, windowSec) : null,
+      meanChannelDenied: channelDenied,
+      meanInventoryDenied: inventoryDenied,
+      binding: channelDenied === 0 && inventoryDenied === 0
+        ? "none"
+        : channelDenied > inventoryDenied ? "channels" : "inventory",
+    };
+  }
+
+  if (sensors.length === 0 && Object.keys(fireControl).length === 0) return null;
+  return { sensors, fireControl };
+}
+
 /**
  * Compute summary statistics from Monte Carlo trial arrays.
  */
@@ -28,11 +173,51 @@ export function computeSummary(arrays, realWarheadsConst, params = {}) {
     tp, fn, fp,
     shotsTot, shotsW, shotsD,
     invLeft, systemUpFlags,
+    componentsDown = [],
     boostMissilesKilled = [],
+    boostMissilesUnreachable = [],
     boostWarheadsDestroyed = [],
     midcourseWarheadsKilled = [],
     terminalWarheadsKilled = [],
+    terminalDecoys = [],
+    terminalTruePositives = [],
+    terminalFalseNegatives = [],
+    terminalFalsePositives = [],
+    terminalShotsAtDecoys = [],
+    nuclearBursts = [],
+    blackoutLeakers = [],
+    collateralKills = [],
+    falseKillLeakers = [],
+    killAssessment = {},
+    byThreat = {},
+    cmStats = {},
+    boostPayloadsEscaped = [],
+    phaseLoad = {},
+    engagementLimits = {},
+    leakCauses = {},
     ktDelivered = [],
+    penByClass = {},
+    ktByClass = {},
+    realWarheadsByClass = {},
+    trackLoss = {},
+    outOfFootprint = {},
+    boostInReach = {},
+    laserUtilization = {},
+    asatSatsLost = [],
+    asatSensorSatsLost = [],
+    asatConstellationSurviving = [],
+    asatSensorSurvival = {},
+    penByWave = [],
+    ktByWave = [],
+    waveRealWarheads = [],
+    exhaustedAtWave = {},
+    shotsByType = {},
+    killsByType = {},
+    decoyShotsByType = {},
+    inventoryByType = {},
+    assetValueSurviving = [],
+    warheadsNotDefended = [],
+    assetLost = {},
   } = arrays;
 
   const meanSystemUp = mean(systemUpFlags);
@@ -65,12 +250,129 @@ export function computeSummary(arrays, realWarheadsConst, params = {}) {
       realWarheadsConst > 0 ? mean(penReal) / realWarheadsConst : 0,
   };
 
+  // Component reliability: how often each component was down, and whether
+  // its outages line up with the trials that leaked
+  if (componentsDown.length > 0 && params.interceptors) {
+    const leaked = penReal.map(n => n > 0);
+    const nLeaked = leaked.filter(Boolean).length;
+    summary.reliability = { pAnyLeak: nLeaked / penReal.length, byComponent: {} };
+    for (const key of componentKeys(params)) {
+      const penDown = [];
+      const penUp = [];
+      let downAndLeaked = 0;
+      componentsDown.forEach((keys, i) => {
+        if (keys.includes(key)) {
+          penDown.push(penReal[i]);
+          if (leaked[i]) downAndLeaked += 1;
+        } else {
+          penUp.push(penReal[i]);
+        }
+      });
+      summary.reliability.byComponent[key] = {
+        label: componentLabel(key, params),
+        pDown: penDown.length / componentsDown.length,
+        pDownGivenLeak: nLeaked > 0 ? downAndLeaked / nLeaked : 0,
+        meanPenWhenDown: penDown.length > 0 ? mean(penDown) : null,
+        meanPenWhenUp: penUp.length > 0 ? mean(penUp) : null,
+      };
+    }
+  }
+
   // Per-phase stats (only populated in multi-phase mode)
   if (boostMissilesKilled.length > 0) {
     summary.meanBoostMissilesKilled = mean(boostMissilesKilled);
+    summary.meanBoostMissilesUnreachable = mean(boostMissilesUnreachable);
     summary.meanBoostWarheadsDestroyed = mean(boostWarheadsDestroyed);
     summary.meanMidcourseWarheadsKilled = mean(midcourseWarheadsKilled);
     summary.meanTerminalWarheadsKilled = mean(terminalWarheadsKilled);
+    summary.meanTerminalDecoys = mean(terminalDecoys);
+    summary.meanTerminalTruePositives = mean(terminalTruePositives);
+    summary.meanTerminalFalseNegatives = mean(terminalFalseNegatives);
+    summary.meanTerminalFalsePositives = mean(terminalFalsePositives);
+    summary.meanTerminalShotsAtDecoys = mean(terminalShotsAtDecoys);
+  }
+
+  // Nuclear terminal intercepts (only when any nuclear type is fielded)
+  const nuclearFielded = Object.values(params.interceptors ?? {})
+    .some(cfg => cfg.nuclear === true && cfg.deployed > 0);
+  if (nuclearFielded && nuclearBursts.length > 0) {
+    summary.nuclear = {
+      meanBursts: mean(nuclearBursts),
+      meanBlackoutLeakers: mean(blackoutLeakers),
+      p90BlackoutLeakers: percentile(blackoutLeakers, 90),
+      meanCollateralKills: mean(collateralKills),
+    };
+  }
+
+  // Imperfect kill assessment (only when any phase misjudges kills)
+  const assessedPhases = Object.keys(killAssessment);
+  const anyMisjudged = assessedPhases.some(phase =>
+    mean(killAssessment[phase].falseKills) > 0 || mean(killAssessment[phase].wastedShots) > 0
+  );
+  if (anyMisjudged) {
+    summary.killAssessment = {
+      meanFalseKillLeakers: mean(falseKillLeakers),
+      p90FalseKillLeakers: percentile(falseKillLeakers, 90),
+      byPhase: Object.fromEntries(assessedPhases.map(phase => [phase, {
+        meanFalseKills: mean(killAssessment[phase].falseKills),
+        meanWastedShots: mean(killAssessment[phase].wastedShots),
+      }])),
+    };
+  }
+
+  // Leakage attribution: why the penetrating warheads got through each phase
+  // (shares are of mean penetrated warheads; phases sum to it unless some
+  // threats skip the phase)
+  const meanPen = mean(penReal);
+  const leakPhases = Object.keys(leakCauses);
+  if (leakPhases.length > 0 && meanPen > 0) {
+    summary.leakage = { byPhase: {} };
+    for (const phase of leakPhases) {
+      const causes = {};
+      for (const [cause, counts] of Object.entries(leakCauses[phase])) {
+        const meanCount = mean(counts);
+        if (meanCount <= 0) continue;
+        causes[cause] = { label: LEAK_CAUSES[cause] ?? cause, meanCount, share: meanCount / meanPen };
+      }
+      summary.leakage.byPhase[phase] = causes;
+    }
+  }
+
+  // Capacity vs inventory: sensors past their track capacity, and
+  // engagements denied for want of a fire-control channel or an interceptor
+  const capacity = computeCapacityLimits(params, phaseLoad, engagementLimits);
+  if (capacity) summary.capacity = capacity;
+
+  // Countermeasure catalog: what each item deployed, fooled and drew fire
+  const cmKeys = Object.keys(cmStats).filter(key => key !== "generic");
+  const escapes = Object.values(params.missileClasses ?? {})
+    .some(cls => (cls.cmLoadout?.submunitions ?? 0) > 0);
+  if (cmKeys.length > 0 || escapes) {
+    summary.countermeasures = { byItem: {}, meanBoostPayloadsEscaped: mean(boostPayloadsEscaped) };
+    for (const [key, t] of Object.entries(cmStats)) {
+      const objects = mean(t.objects);
+      summary.countermeasures.byItem[key] = {
+        label: CM_CATALOG[key]?.label ?? "Generic decoy",
+        meanObjects: objects,
+        falseAlarmRate: objects > 0 ? mean(t.falseAlarms) / objects : 0,
+        meanShots: mean(t.shots),
+      };
+    }
+  }
+
+  // Leakage by threat type, and the terminal inventory each one drew
+  if (params.cruiseClasses && byThreat.cruise) {
+    const totalShots = Object.values(byThreat).map(t => mean(t.terminalShots)).reduce((a, b) => a + b, 0);
+    summary.byThreat = {};
+    for (const [threat, t] of Object.entries(byThreat)) {
+      summary.byThreat[threat] = {
+        meanPen: mean(t.penetrated),
+        p90Pen: percentile(t.penetrated, 90),
+        meanTerminalKills: mean(t.killed),
+        meanTerminalShots: mean(t.terminalShots),
+        shareOfTerminalShots: totalShots > 0 ? mean(t.terminalShots) / totalShots : 0,
+      };
+    }
   }
 
   // Kiloton delivery stats
@@ -81,9 +383,234 @@ export function computeSummary(arrays, realWarheadsConst, params = {}) {
     summary.p90KtDelivered = percentile(ktDelivered, 90);
   }
 
+  // Per-missile-class breakdown: which classes the leakers came from
+  const classNames = Object.keys(penByClass);
+  if (classNames.length > 0) {
+    const totalMeanPen = mean(penReal);
+    const totalMeanKt = mean(ktDelivered);
+    summary.byClass = {};
+    const profiles = classProfiles(params);
+    for (const className of classNames) {
+      const pen = penByClass[className];
+      const kt = ktByClass[className];
+      const warheads = realWarheadsByClass[className] ?? 0;
+      summary.byClass[className] = {
+        trajectory: profiles[className]?.label ?? null,
+        realWarheads: warheads,
+        meanPen: mean(pen),
+        p90Pen: percentile(pen, 90),
+        meanPenRate: warheads > 0 ? mean(pen) / warheads : 0,
+        shareOfPen: totalMeanPen > 0 ? mean(pen) / totalMeanPen : 0,
+        meanKtDelivered: mean(kt),
+        shareOfKt: totalMeanKt > 0 ? mean(kt) / totalMeanKt : 0,
+      };
+    }
+  }
+
+  // Defended assets: share of asset value surviving, per-asset loss probability
+  if (assetValueSurviving.length > 0) {
+    summary.meanAssetValueSurviving = mean(assetValueSurviving);
+    summary.p10AssetValueSurviving = percentile(assetValueSurviving, 10);
+    summary.medianAssetValueSurviving = percentile(assetValueSurviving, 50);
+    summary.meanWarheadsNotDefended = mean(warheadsNotDefended);
+    summary.byAsset = {};
+    for (const [key, lost] of Object.entries(assetLost)) {
+      const asset = params.assets?.[key] ?? {};
+      summary.byAsset[key] = {
+        label: asset.label ?? key,
+        kind: asset.kind,
+        value: asset.value ?? 0,
+        pLost: mean(lost),
+      };
+    }
+  }
+
+  // Per-wave leakage
+  if (penByWave.length > 0) {
+    const waves = params.waves ?? [{ label: "Salvo", timeOffsetMin: 0 }];
+    summary.byWave = penByWave.map((pen, i) => ({
+      label: waves[i]?.label ?? `Wave ${i + 1}`,
+      timeOffsetMin: waves[i]?.timeOffsetMin ?? 0,
+      realWarheads: waveRealWarheads[i] ?? 0,
+      meanPen: mean(pen),
+      meanPenRate: waveRealWarheads[i] > 0 ? mean(pen) / waveRealWarheads[i] : 0,
+      meanKtDelivered: mean(ktByWave[i]),
+    }));
+  }
+
+  // Per-interceptor-type consumption, kills and realized cost per warhead
+  // killed (rounds expended at costPerUnit_M; laser dwells at costPerShot_M,
+  // else the platform cost amortized over its magazine).
+  const shotTypes = Object.keys(shotsByType);
+  if (shotTypes.length > 0) {
+    const typeDoctrine = buildTypeDoctrines(params, buildDoctrine(params));
+    summary.byType = {};
+    for (const type of shotTypes) {
+      const cfg = params.interceptors[type];
+      const d = typeDoctrine[type];
+      const meanShots = mean(shotsByType[type]);
+      const meanKills = mean(killsByType[type] ?? []);
+      const remaining = inventoryByType[type] ?? [];
+      const shotCost_M = shotCost(cfg);
+      summary.byType[type] = {
+        meanShots,
+        meanKills,
+        meanDecoyShots: mean(decoyShotsByType[type] ?? []),
+        pExhausted: (exhaustedAtWave[type] ?? []).filter(x => x !== null).length / shotsByType[type].length,
+        fielded: isLaser(cfg) ? laserMagazine(cfg) : cfg.deployed,
+        meanRemaining: mean(remaining),
+        p10Remaining: percentile(remaining, 10),
+        medianRemaining: percentile(remaining, 50),
+        p90Remaining: percentile(remaining, 90),
+        meanSpent_M: meanShots * shotCost_M,
+        costPerKill_M: meanKills > 0 ? (meanShots * shotCost_M) / meanKills : null,
+        doctrineMode: isLaser(cfg) ? "dwell" : d.doctrineMode,
+        shotsPerTarget: d.doctrineMode === "barrage" ? d.shotsPerTarget : d.maxShotsPerTarget,
+      };
+    }
+  }
+
+  // Cost exchange: the raid's cost against the architecture and the
+  // interceptors expended per trial (marginal ratio: see monteCarlo.js)
+  if (params.missileClasses && summary.byType) {
+    const byType = Object.values(summary.byType);
+    const meanKills = byType.reduce((sum, t) => sum + t.meanKills, 0);
+    const meanDefenderConsumed_M = byType.reduce((sum, t) => sum + t.meanSpent_M, 0);
+    const attackerCost_M = computeAttackerCost(params);
+    summary.costExchange = {
+      attackerCost_M,
+      defenderCost_M: computeArchitectureCost(params),
+      meanDefenderConsumed_M,
+      defenderCostPerKill_M: meanKills > 0 ? meanDefenderConsumed_M / meanKills : null,
+      consumedPerAttackerDollar: attackerCost_M > 0 ? meanDefenderConsumed_M / attackerCost_M : null,
+    };
+  }
+
+  // Interceptor exhaustion: share of trials in which each type ran out (nothing
+  // left to fire beyond its reserve; constellation for space-based types), by wave
+  const exhaustedTypes = Object.keys(exhaustedAtWave);
+  if (exhaustedTypes.length > 0) {
+    const nWaves = penByWave.length;
+    summary.exhaustion = {};
+    for (const type of exhaustedTypes) {
+      const waves = exhaustedAtWave[type];
+      const byWave = [];
+      for (let w = 1; w <= nWaves; w++) {
+        byWave.push(waves.filter(x => x === w).length / waves.length);
+      }
+      summary.exhaustion[type] = {
+        pExhausted: waves.filter(x => x !== null).length / waves.length,
+        byWave,
+      };
+    }
+  }
+
+  // Track custody at each handover (real warheads)
+  const trackPhases = Object.keys(trackLoss);
+  if (trackPhases.length > 0) {
+    summary.trackLoss = {};
+    for (const phase of trackPhases) {
+      const t = trackLoss[phase];
+      const meanHandovers = mean(t.handovers);
+      summary.trackLoss[phase] = {
+        meanHandovers,
+        meanDropped: mean(t.dropped),
+        meanLost: mean(t.lost),
+        dropRate: meanHandovers > 0 ? mean(t.dropped) / meanHandovers : 0,
+      };
+    }
+  }
+
+  // Engagement footprints: static gaps and warheads aimed outside them
+  const footprintGaps = computeFootprintGaps(params);
+  if (footprintGaps) {
+    summary.footprint = {
+      ...footprintGaps,
+      meanOutOfFootprint: Object.fromEntries(
+        Object.entries(outOfFootprint).map(([phase, n]) => [phase, mean(n)])
+      ),
+    };
+  }
+
+  // ASAT campaign: satellites lost and what the boost layer has left
+  if (asatSatsLost.length > 0) {
+    summary.asat = {
+      meanInterceptorSatsLost: mean(asatSatsLost),
+      p90InterceptorSatsLost: percentile(asatSatsLost, 90),
+      meanSensorSatsLost: mean(asatSensorSatsLost),
+      meanConstellationSurviving: mean(asatConstellationSurviving),
+      sensorSurviving: {},
+    };
+    for (const [key, frac] of Object.entries(asatSensorSurvival)) {
+      if (params.sensors?.[key]?.satellites > 0) summary.asat.sensorSurviving[key] = mean(frac);
+    }
+    // Boost interceptors in reach of all launch areas after the strike
+    if ((params.asatCampaign.atWave ?? 1) === 1) {
+      summary.asat.meanBoostInReachAfter = Object.values(boostInReach)
+        .reduce((sum, n) => sum + mean(n), 0);
+    }
+  }
+
+  // Directed energy: share of platform time spent dwelling, magazine used
+  const laserTypes = Object.keys(laserUtilization);
+  if (laserTypes.length > 0) {
+    summary.lasers = {};
+    for (const type of laserTypes) {
+      const magazine = laserMagazine(params.interceptors[type]);
+      const dwells = mean(shotsByType[type] ?? []);
+      summary.lasers[type] = {
+        meanUtilization: mean(laserUtilization[type]),
+        p90Utilization: percentile(laserUtilization[type], 90),
+        meanDwells: dwells,
+        magazineUsed: magazine > 0 ? dwells / magazine : 0,
+      };
+    }
+  }
+
+  // Boost-phase engagement windows
+  const boostWindows = computeBoostWindows(params);
+  if (boostWindows) summary.boostWindows = boostWindows;
+
+  // Boost constellation: interceptors in reach of each launch area at T+0
+  const launchAreas = Object.keys(boostInReach);
+  if (launchAreas.length > 0) {
+    const shells = params.constellationShells ?? [];
+    summary.constellation = {
+      shells: shells.length,
+      slots: shells.reduce((sum, sh) => sum + shellSlots(sh), 0),
+      byArea: {},
+    };
+    for (const area of launchAreas) {
+      const n = boostInReach[area];
+      summary.constellation.byArea[area] = {
+        label: params.launchAreas?.[area]?.label ?? area,
+        meanInReach: mean(n),
+        p10InReach: percentile(n, 10),
+        p90InReach: percentile(n, 90),
+      };
+    }
+  }
+
+  // Fire allocation policy (multi-phase only)
+  if (params.missileClasses) {
+    summary.allocationPolicy = params.allocationPolicy ?? "greedy";
+  }
+
+  // Sensor network coverage
+  const sensorCoverage = computeSensorCoverage(params);
+  if (sensorCoverage) summary.sensorCoverage = sensorCoverage;
+
   // Architecture cost
   summary.architectureCost_M = computeArchitectureCost(params);
   summary.architectureCost_B = summary.architectureCost_M / 1000;
 
+  // Lifecycle cost over the planning horizon, with this run's expended rounds
+  if (params.interceptors) {
+    const meanShots = Object.fromEntries(
+      Object.entries(summary.byType ?? {}).map(([type, t]) => [type, t.meanShots])
+    );
+    summary.lifecycle = computeLifecycleCost(params, meanShots);
+  }
+
   return summary;
 }
@@ -5,13 +5,20 @@
 import { seed } from '../utils/rng.js';
 import { runOneTrial } from './simulationEngine.js';
 import { computeSummary } from './metrics.js';
+import { scaleRedForce, marginalCostExchange, trialSpend } from './costExchange.js';
 
 /**
  * Run Monte Carlo and summarize distributions.
  */
 export function runMonteCarlo(params) {
-  // Seed PRNG for reproducibility (null → auto-seed from Date.now())
-  seed(params.seed);
+  // Seed PRNG for reproducibility (null → auto-seed from Date.now()). Paired
+  // runs (params.pairTrials, on whenever the marginal cost-exchange rerun is)
+  // seed trial i as baseSeed + i instead, so two scenarios run from the same
+  // seed pair up trial for trial.
+  const step = params.costExchangeStep ?? 0;
+  const paired = params.pairTrials ?? step > 0;
+  const baseSeed = (params.seed ?? Date.now()) >>> 0;
+  seed(baseSeed);
 
   const { nTrials } = params;
 
@@ -31,20 +38,85 @@ export function runMonteCarlo(params) {
 
   const invLeft = [];
   const systemUpFlags = [];
+  const componentsDown = []; // per trial: keys of components down
 
   // Multi-phase arrays
   const boostMissilesKilled = [];
+  const boostMissilesUnreachable = [];
   const boostWarheadsDestroyed = [];
   const midcourseWarheadsKilled = [];
   const terminalWarheadsKilled = [];
+  const terminalDecoys = [];
+  const terminalTruePositives = [];
+  const terminalFalseNegatives = [];
+  const terminalFalsePositives = [];
+  const terminalShotsAtDecoys = [];
+  const nuclearBursts = [];
+  const blackoutLeakers = [];
+  const collateralKills = [];
+  const falseKillLeakers = [];
+  const killAssessment = {}; // { [phase]: { falseKills: [], wastedShots: [] } }
+  const byThreat = {}; // { ballistic | cruise: { penetrated: [], killed: [], terminalShots: [] } }
+  const cmStats = {}; // { [item]: { objects: [], falseAlarms: [], shots: [] } }
+  const boostPayloadsEscaped = [];
+  const phaseLoad = {}; // { [phase]: [] } objects presented to sensors
+  const engagementLimits = {}; // { [type]: { channelDenied: [], inventoryDenied: [] } }
+  const leakCauses = {}; // { [phase]: { [cause]: [] } } penetrating warheads by cause
   const ktDelivered = [];
 
+  // Per-missile-class arrays, keyed by class name
+  const penByClass = {};
+  const ktByClass = {};
+
+  // Per-wave arrays (index = wave) and per-type exhaustion wave (null = never)
+  const penByWave = [];
+  const ktByWave = [];
+  const exhaustedAtWave = {};
+  let waveRealWarheads = [];
+
+  // Defended-asset arrays (assetLost: { [key]: 0/1 per trial })
+  const assetValueSurviving = [];
+  const warheadsNotDefended = [];
+  const assetLost = {};
+
+  // Per-interceptor-type arrays: shots, warheads killed, shots at decoys,
+  // inventory left at the end of the trial
+  const shotsByType = {};
+  const defenderSpent_M = []; // per trial, interceptor dollars expended
+  const killsByType = {};
+  const decoyShotsByType = {};
+  const inventoryByType = {};
+
+  // Track-custody arrays, keyed by phase then field (handovers/dropped/lost)
+  const trackLoss = {};
+
+  // Out-of-footprint warhead arrays, keyed by phase
+  const outOfFootprint = {};
+
+  // Boost interceptors in reach at the first wave, keyed by launch area
+  const boostInReach = {};
+
+  // Laser utilization (busy / available platform time), keyed by type
+  const laserUtilization = {};
+
+  // ASAT campaign outcomes (trials with a campaign only)
+  const asatSatsLost = [];
+  const asatSensorSatsLost = [];
+  const asatConstellationSurviving = [];
+  const asatSensorSurvival = {};
+
   let realWarheadsConst = null;
+  let realWarheadsByClass = {};
   let totalMissiles = null;
 
   for (let t = 0; t < nTrials; t++) {
+    if (paired) seed(baseSeed + t);
     const r = runOneTrial(params);
-    if (realWarheadsConst === null) realWarheadsConst = r.realWarheads;
+    if (realWarheadsConst === null) {
+      realWarheadsConst = r.realWarheads;
+      realWarheadsByClass = r.realWarheadsByClass;
+      waveRealWarheads = r.waveResults.map(w => w.realWarheads);
+    }
 
     penReal.push(r.penetratedRealWarheads);
     intReal.push(r.interceptedRealWarheads);
@@ -62,12 +134,114 @@ export function runMonteCarlo(params) {
 
     invLeft.push(r.inventoryRemaining);
     systemUpFlags.push(r.systemUp ? 1 : 0);
+    componentsDown.push(r.componentsDown);
 
     boostMissilesKilled.push(r.boostMissilesKilled);
+    boostMissilesUnreachable.push(r.boostMissilesUnreachable);
     boostWarheadsDestroyed.push(r.boostWarheadsDestroyed);
     midcourseWarheadsKilled.push(r.midcourseWarheadsKilled);
     terminalWarheadsKilled.push(r.terminalWarheadsKilled);
+    terminalDecoys.push(r.terminalDecoys);
+    terminalTruePositives.push(r.terminalTruePositives);
+    terminalFalseNegatives.push(r.terminalFalseNegatives);
+    terminalFalsePositives.push(r.terminalFalsePositives);
+    terminalShotsAtDecoys.push(r.terminalShotsAtDecoys);
+    nuclearBursts.push(r.nuclearBursts);
+    blackoutLeakers.push(r.blackoutLeakers);
+    collateralKills.push(r.collateralKills);
+    falseKillLeakers.push(r.falseKillLeakers);
+    boostPayloadsEscaped.push(r.boostPayloadsEscaped);
+    for (const [phase, n] of Object.entries(r.phaseLoad)) {
+      (phaseLoad[phase] ??= []).push(n);
+    }
+    for (const [type, counts] of Object.entries(r.engagementLimits)) {
+      const byField = (engagementLimits[type] ??= {});
+      for (const [field, n] of Object.entries(counts)) {
+        (byField[field] ??= []).push(n);
+      }
+    }
+    for (const [phase, counts] of Object.entries(r.leakCauses)) {
+      const byCause = (leakCauses[phase] ??= {});
+      for (const [cause, n] of Object.entries(counts)) {
+        (byCause[cause] ??= []).push(n);
+      }
+    }
+    for (const [key, counts] of Object.entries(r.cmStats)) {
+      const byField = (cmStats[key] ??= {});
+      for (const [field, n] of Object.entries(counts)) {
+        (byField[field] ??= []).push(n);
+      }
+    }
+    for (const [threat, counts] of Object.entries(r.byThreat)) {
+      const byField = (byThreat[threat] ??= {});
+      for (const [field, n] of Object.entries(counts)) {
+        (byField[field] ??= []).push(n);
+      }
+    }
+    for (const [phase, counts] of Object.entries(r.killAssessment)) {
+      const byField = (killAssessment[phase] ??= {});
+      for (const [field, n] of Object.entries(counts)) {
+        (byField[field] ??= []).push(n);
+      }
+    }
     ktDelivered.push(r.ktDelivered);
+
+    for (const [className, n] of Object.entries(r.penetratedByClass)) {
+      (penByClass[className] ??= []).push(n);
+      (ktByClass[className] ??= []).push(r.ktDeliveredByClass[className]);
+    }
+
+    r.waveResults.forEach((w, i) => {
+      (penByWave[i] ??= []).push(w.penetrated);
+      (ktByWave[i] ??= []).push(w.ktDelivered);
+    });
+    for (const [type, wave] of Object.entries(r.exhaustedAtWave)) {
+      (exhaustedAtWave[type] ??= []).push(wave);
+    }
+
+    if (r.assetValueSurviving !== null) {
+      assetValueSurviving.push(r.assetValueSurviving);
+      warheadsNotDefended.push(r.warheadsNotDefended);
+      for (const [key, lost] of Object.entries(r.assetsLost)) {
+        (assetLost[key] ??= []).push(lost ? 1 : 0);
+      }
+    }
+
+    for (const [type, n] of Object.entries(r.shotsByType)) {
+      (shotsByType[type] ??= []).push(n);
+      (killsByType[type] ??= []).push(r.killsByType[type]);
+      (decoyShotsByType[type] ??= []).push(r.decoyShotsByType[type]);
+      (inventoryByType[type] ??= []).push(r.inventoryByType[type]);
+    }
+    if (params.interceptors) defenderSpent_M.push(trialSpend(params, r.shotsByType));
+
+    for (const [phase, counts] of Object.entries(r.trackLossByPhase)) {
+      const byField = (trackLoss[phase] ??= {});
+      for (const [field, n] of Object.entries(counts)) {
+        (byField[field] ??= []).push(n);
+      }
+    }
+
+    for (const [phase, n] of Object.entries(r.warheadsOutOfFootprint)) {
+      (outOfFootprint[phase] ??= []).push(n);
+    }
+
+    for (const [area, n] of Object.entries(r.boostInReachByArea)) {
+      (boostInReach[area] ??= []).push(n);
+    }
+
+    if (r.asatResults) {
+      asatSatsLost.push(r.asatResults.interceptorSatsLost);
+      asatSensorSatsLost.push(r.asatResults.sensorSatsLost);
+      asatConstellationSurviving.push(r.asatResults.constellationSurviving);
+      for (const [key, frac] of Object.entries(r.asatResults.sensorSurvival)) {
+        (asatSensorSurvival[key] ??= []).push(frac);
+      }
+    }
+
+    for (const [type, t] of Object.entries(r.laserTime)) {
+      (laserUtilization[type] ??= []).push(t.availableSec > 0 ? t.busySec / t.availableSec : 0);
+    }
   }
 
   const summary = computeSummary(
@@ -76,21 +250,52 @@ export function runMonteCarlo(params) {
       detObj, detReal,
       tp, fn, fp,
       shotsTot, shotsW, shotsD,
-      invLeft, systemUpFlags,
-      boostMissilesKilled, boostWarheadsDestroyed,
+      invLeft, systemUpFlags, componentsDown,
+      boostMissilesKilled, boostWarheadsDestroyed, boostMissilesUnreachable,
       midcourseWarheadsKilled, terminalWarheadsKilled,
+      terminalDecoys, terminalTruePositives, terminalFalseNegatives, terminalFalsePositives,
+      terminalShotsAtDecoys,
+      nuclearBursts, blackoutLeakers, collateralKills,
+      falseKillLeakers, killAssessment, byThreat,
+      cmStats, boostPayloadsEscaped,
+      phaseLoad, engagementLimits, leakCauses,
       ktDelivered,
+      penByClass, ktByClass, realWarheadsByClass,
+      trackLoss,
+      outOfFootprint,
+      boostInReach,
+      laserUtilization,
+      asatSatsLost, asatSensorSatsLost, asatConstellationSurviving, asatSensorSurvival,
+      penByWave, ktByWave, waveRealWarheads, exhaustedAtWave,
+      shotsByType, killsByType, decoyShotsByType, inventoryByType,
+      assetValueSurviving, warheadsNotDefended, assetLost,
     },
     realWarheadsConst,
     params
   );
 
+  // Marginal cost exchange (opt-in): rerun with a slightly larger red force
+  // on the same per-trial seeds, so trial i of both runs is a pair
+  if (summary.costExchange?.attackerCost_M > 0 && step > 0) {
+    const grown = runMonteCarlo({
+      ...scaleRedForce(params, step),
+      seed: baseSeed,
+      pairTrials: true,
+      costExchangeStep: 0,
+    });
+    summary.costExchange.marginal = marginalCostExchange({ summary, penReal, defenderSpent_M }, grown, step);
+  }
+
   return {
     penReal,
     intReal,
     shotsTot,
     fp,
     ktDelivered,
+    assetValueSurviving,
+    penByClass,
+    ktByClass,
+    defenderSpent_M,
     summary,
   };
 }
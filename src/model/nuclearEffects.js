@@ -0,0 +1,41 @@
+/**
+ * Nuclear-armed terminal interceptors — radar blackout and collateral kills.
+ *
+ * An interceptor type with nuclear: true detonates on every shot. Each burst:
+ *   - blacks out terminal radars over the same defended asset for blackoutSec:
+ *     a target engaged there during the blackout keeps its track only with
+ *     P = 1 − blackoutTrackPenalty, and leaks otherwise
+ *   - may destroy other objects headed for the same asset that arrive within
+ *     collateralWindowSec of the burst (P = pCollateralKill each)
+ *
+ * Terminal engagements over an asset are spread evenly across the terminal
+ * window (params.terminalWindowSec) in raid order.
+ */
+
+export const NUCLEAR_DEFAULTS = {
+  blackoutSec: 30,
+  blackoutTrackPenalty: 0.6,
+  pCollateralKill: 0.3,
+  collateralWindowSec: 5,
+};
+
+export const TERMINAL_WINDOW_SEC = 60;
+
+/**
+ * True if an interceptor type carries a nuclear warhead.
+ */
+export function isNuclear(cfg) {
+  return cfg.nuclear === true;
+}
+
+/**
+ * Burst effects of a nuclear type, with defaults.
+ */
+export function nuclearParams(cfg) {
+  return {
+    blackoutSec: cfg.blackoutSec ?? NUCLEAR_DEFAULTS.blackoutSec,
+    blackoutTrackPenalty: cfg.blackoutTrackPenalty ?? NUCLEAR_DEFAULTS.blackoutTrackPenalty,
+    pCollateralKill: cfg.pCollateralKill ?? NUCLEAR_DEFAULTS.pCollateralKill,
+    collateralWindowSec: cfg.collateralWindowSec ?? NUCLEAR_DEFAULTS.collateralWindowSec,
+  };
+}
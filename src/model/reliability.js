@@ -0,0 +1,114 @@
+/**
+ * Component reliability — which parts of the defense are up in a trial.
+ *
+ * Components (keys used in results):
+ *   "c2"                      — battle management / C2
+ *   "sensor:<key>"            — one sensor (params.sensors[key].availability)
+ *   "type:<type>"             — an interceptor constellation or pooled type
+ *                               (interceptors[type].availability)
+ *   "battery:<type>:<site>"   — one battery (battery.availability, else the type's)
+ *   "common:<i>"              — common-mode event i occurred
+ *
+ * Failures are independent per component, plus optional common-mode events
+ * that take several components down together:
+ *   reliability: {
+ *     c2Availability,                       // defaults to pSystemUp
+ *     c2DownDetectFactor, c2DownPkFactor,   // defaults to detect/pkDegradeFactor
+ *     commonModes: [{ label, p, takesDown: [componentKey, ...] }],
+ *   }
+ *
+ * A C2 outage degrades detection and Pk everywhere (no cueing, no fire-control
+ * quality tracks); a sensor outage removes that sensor; a type or battery
+ * outage removes its inventory for the trial. Launch reliability
+ * (interceptors[type].launchReliability) makes each shot a dud with
+ * P = 1 − launchReliability; a dud is a miss.
+ */
+
+import { clamp01, bernoulli } from '../utils/rng.js';
+
+/**
+ * Draw up/down states for every component for one trial.
+ *
+ * @param {Object} params — scenario params
+ * @returns {{ down: Set<string>, systemUp: boolean, detectDegradeFactor: number,
+ *   pkDegradeFactor: number, pDetectTrack_trial: number, sensorsDown: Set<string> }}
+ *   systemUp — C2 up (the old whole-system flag)
+ */
+export function drawComponentStates(params) {
+  const rel = params.reliability ?? {};
+  const down = new Set();
+
+  (rel.commonModes ?? []).forEach((event, i) => {
+    if (bernoulli(event.p)) {
+      down.add(`common:${i}`);
+      for (const key of event.takesDown) down.add(key);
+    }
+  });
+
+  if (!bernoulli(rel.c2Availability ?? params.pSystemUp ?? 1)) down.add("c2");
+
+  for (const [key, sensor] of Object.entries(params.sensors ?? {})) {
+    if (!bernoulli(sensor.availability ?? 1)) down.add(`sensor:${key}`);
+  }
+
+  for (const [type, cfg] of Object.entries(params.interceptors ?? {})) {
+    if (cfg.batteries) {
+      for (const b of cfg.batteries) {
+        if (!bernoulli(b.availability ?? cfg.availability ?? 1)) down.add(`battery:${type}:${b.site}`);
+      }
+    } else if (!bernoulli(cfg.availability ?? 1)) {
+      down.add(`type:${type}`);
+    }
+  }
+
+  const c2Up = !down.has("c2");
+  const detectDegradeFactor = c2Up ? 1.0 : rel.c2DownDetectFactor ?? params.detectDegradeFactor ?? 1.0;
+  const pkDegradeFactor = c2Up ? 1.0 : rel.c2DownPkFactor ?? params.pkDegradeFactor ?? 1.0;
+
+  const sensorsDown = new Set();
+  for (const key of down) {
+    if (key.startsWith("sensor:")) sensorsDown.add(key.slice("sensor:".length));
+  }
+
+  return {
+    down,
+    systemUp: c2Up,
+    detectDegradeFactor,
+    pkDegradeFactor,
+    pDetectTrack_trial: clamp01((params.pDetectTrack ?? 1) * detectDegradeFactor),
+    sensorsDown,
+  };
+}
+
+/**
+ * Human-readable label for a component key.
+ */
+export function componentLabel(key, params) {
+  if (key === "c2") return "C2 / battle management";
+  const [kind, a, b] = key.split(":");
+  if (kind === "sensor") return params.sensors?.[a]?.label ?? a;
+  if (kind === "type") return params.interceptors?.[a]?.label ?? a;
+  if (kind === "common") return params.reliability?.commonModes?.[a]?.label ?? key;
+  if (kind === "battery") {
+    const battery = params.interceptors?.[a]?.batteries?.find(x => x.site === b);
+    return `${a} @ ${battery?.label ?? b}`;
+  }
+  return key;
+}
+
+/**
+ * Every component key in a scenario (for reporting).
+ */
+export function componentKeys(params) {
+  const keys = ["c2"];
+  (params.reliability?.commonModes ?? []).forEach((_, i) => keys.push(`common:${i}`));
+  for (const key of Object.keys(params.sensors ?? {})) keys.push(`sensor:${key}`);
+  for (const [type, cfg] of Object.entries(params.interceptors ?? {})) {
+    if (cfg.batteries) {
+      for (const b of cfg.batteries) keys.push(`battery:${type}:${b.site}`);
+    } else {
+      keys.push(`type:${type}`);
+    }
+  }
+  return keys;
+}
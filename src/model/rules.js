@@ -5,6 +5,7 @@
 import { clamp01 } from '../utils/rng.js';
 
 const R_EARTH = 6371; // km
+const MU_EARTH = 398600.4418; // km^3/s^2
 
 /**
  * Compute the fraction of a LEO constellation covering a launch region.
@@ -20,6 +21,14 @@ export function constellationCoverage(altitudeKm = 1000, regionalFactor = 1.0) {
   return clamp01(baseFraction * regionalFactor);
 }
 
+/**
+ * Circular orbit period in minutes (~105 min at 1000 km).
+ */
+export function orbitalPeriodMin(altitudeKm = 1000) {
+  const a = R_EARTH + altitudeKm;
+  return (2 * Math.PI * Math.sqrt(a ** 3 / MU_EARTH)) / 60;
+}
+
 /**
  * Compute available boost-phase interceptors from deployed count and coverage.
  */
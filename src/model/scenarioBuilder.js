@@ -4,9 +4,12 @@
  * Two modes:
  * 1. Legacy: flat params (nMissiles, mirvsPerMissile, decoysPerWarhead) → generateTargets()
  * 2. Multi-class: params.missileClasses → generateMissiles() + expandToWarheadsAndDecoys()
+ *    plus air-breathing threats from params.cruiseClasses → generateCruiseMissiles()
  */
 
 import { shuffle } from '../utils/rng.js';
+import { drawAimPoint } from './assets.js';
+import { cmItem } from './countermeasures.js';
 
 /**
  * Legacy: generate a flat list of warheads + decoys (single class, no missile objects).
@@ -36,13 +39,21 @@ export function generateTargets(params) {
  * Each missile carries metadata about its class, MIRV count, decoys, yield, and boost evasion.
  *
  * @param {Object} params — must have params.missileClasses
+ * @param {Object} [counts] — per-class counts for one wave (overrides cls.count; missing = 0)
+ * @param {Object} [targetingTables] — from buildTargetingTables(); assigns one aim point per MIRV
  * @returns {Object[]} array of missile objects
  */
-export function generateMissiles(params) {
+export function generateMissiles(params, counts, targetingTables = {}) {
   const missiles = [];
 
   for (const [className, cls] of Object.entries(params.missileClasses)) {
-    for (let i = 0; i < cls.count; i++) {
+    const n = counts ? (counts[className] ?? 0) : cls.count;
+    for (let i = 0; i < n; i++) {
+      const aimPoints = [];
+      for (let w = 0; w < cls.mirvsPerMissile; w++) {
+        aimPoints.push(drawAimPoint(targetingTables, className));
+      }
+
       missiles.push({
         id: `${className}_${i}`,
         missileClass: className,
@@ -50,6 +61,8 @@ export function generateMissiles(params) {
         decoysPerWarhead: cls.decoysPerWarhead,
         yieldKt: cls.yieldKt,
         boostEvasion: cls.boostEvasion,
+        cmLoadout: cls.cmLoadout ?? {},
+        aimPoints,
       });
     }
   }
@@ -58,9 +71,46 @@ export function generateMissiles(params) {
   return missiles;
 }
 
+/**
+ * Generate cruise missiles from params.cruiseClasses. These skip boost and
+ * midcourse, so each is a single terminal target (kind "warhead", carrying
+ * yield) from the start, with no decoys.
+ *
+ * @param {Object} params — params.cruiseClasses: { [class]: { count, yieldKt } }
+ * @param {Object} [counts] — per-class counts for one wave (overrides cls.count; missing = 0)
+ * @param {Object} [targetingTables] — from buildTargetingTables()
+ * @returns {Object[]} array of cruise-missile targets (threat: "cruise")
+ */
+export function generateCruiseMissiles(params, counts, targetingTables = {}) {
+  const targets = [];
+
+  for (const [className, cls] of Object.entries(params.cruiseClasses ?? {})) {
+    const n = counts ? (counts[className] ?? 0) : cls.count;
+    for (let i = 0; i < n; i++) {
+      targets.push({
+        kind: "warhead",
+        threat: "cruise",
+        id: `${className}_${i}`,
+        yieldKt: cls.yieldKt,
+        missileClass: className,
+        aimPoint: drawAimPoint(targetingTables, className),
+        track: null,
+      });
+    }
+  }
+
+  shuffle(targets);
+  return targets;
+}
+
 /**
  * Expand surviving missiles into individual warhead + decoy targets (post-MIRV separation).
  * Called after boost phase on the missiles that survived.
+ * Each object inherits a copy of its parent missile's track state (boost-phase cue);
+ * warheads inherit its boost-phase leakage tag (leakage.js); decoys share
+ * the aim point of the warhead they accompany. Countermeasure
+ * objects from the class's cmLoadout are decoys tagged with their catalog key
+ * (cm); per-missile items follow the first warhead.
  *
  * @param {Object[]} survivingMissiles — missiles that were not intercepted in boost phase
  * @returns {{ targets: Object[], realWarheads: number, decoys: number }}
@@ -77,6 +127,9 @@ export function expandToWarheadsAndDecoys(survivingMissiles) {
         id: `${m.id}_W${w}`,
         yieldKt: m.yieldKt,
         missileClass: m.missileClass,
+        aimPoint: m.aimPoints[w],
+        track: m.track ? { ...m.track } : null,
+        leakCauses: { ...m.leakCauses },
       });
       realWarheads++;
 
@@ -85,9 +138,27 @@ export function expandToWarheadsAndDecoys(survivingMissiles) {
           kind: "decoy",
           id: `${m.id}_W${w}_D${d}`,
           missileClass: m.missileClass,
+          aimPoint: m.aimPoints[w],
+          track: m.track ? { ...m.track } : null,
         });
         decoys++;
       }
+
+      for (const [key, n] of Object.entries(m.cmLoadout ?? {})) {
+        const item = cmItem(key);
+        if (!item?.objects || (item.perMissile && w > 0)) continue;
+        for (let d = 0; d < n; d++) {
+          targets.push({
+            kind: "decoy",
+            cm: key,
+            id: `${m.id}_W${w}_${key}${d}`,
+            missileClass: m.missileClass,
+            aimPoint: m.aimPoints[w],
+            track: m.track ? { ...m.track } : null,
+          });
+          decoys++;
+        }
+      }
     }
   }
 
@@ -0,0 +1,130 @@
+/**
+ * Sensor network — combines a blue preset's sensors into per-phase
+ * detection/tracking probabilities.
+ *
+ * Each sensor declares which phases it covers and its detection probability
+ * in each, plus track capacity and ASAT vulnerability:
+ *   { label, kind, pDetect: { boost, midcourse, terminal, cruise }, trackCapacity, asatVulnerability }
+ * pDetect.cruise is low-altitude detection of air-breathing threats
+ * (CRUISE_PHASE), which the ballistic phases do not see.
+ *
+ * Sensors are treated as independent looks: P(detect) = 1 - Π(1 - p_i).
+ * Presets without a sensor list fall back to the single pDetectTrack.
+ */
+
+import { clamp01 } from '../utils/rng.js';
+import { applyAsatDetectPenalty } from './rules.js';
+
+export const PHASES = ["boost", "midcourse", "terminal"];
+export const CRUISE_PHASE = "cruise";
+
+/**
+ * Sensor kinds, for labeling and defaults.
+ * asatVulnerability: fraction of the red ASAT detect penalty this kind absorbs.
+ */
+export const SENSOR_KINDS = {
+  space_ir:       { label: "Space IR Early Warning",       asatVulnerability: 1.0 },
+  forward_xband:  { label: "Forward X-Band Radar",         asatVulnerability: 0.0 },
+  uewr:           { label: "Upgraded Early-Warning Radar", asatVulnerability: 0.0 },
+  discrimination: { label: "Discrimination Radar",         asatVulnerability: 0.0 },
+  airborne_ew:    { label: "Airborne Early Warning",       asatVulnerability: 0.0 },
+};
+
+/**
+ * Effective detection probability of one sensor in one phase.
+ *
+ * A sensor asked to hold more objects than its trackCapacity spreads its
+ * tracks thin: per-object probability scales by capacity / objectCount.
+ *
+ * @param {Object} sensor — sensor config
+ * @param {string} phase — "boost" | "midcourse" | "terminal"
+ * @param {Object} opts — { asatDetectPenalty, detectDegradeFactor, objectCount }
+ * @returns {number} 0 if the sensor does not cover the phase
+ */
+export function sensorDetectProbability(sensor, phase, opts = {}) {
+  const base = sensor.pDetect?.[phase] ?? 0;
+  if (base <= 0) return 0;
+
+  const vulnerability =
+    sensor.asatVulnerability ?? SENSOR_KINDS[sensor.kind]?.asatVulnerability ?? 0;
+  const penalty = (opts.asatDetectPenalty ?? 0) * vulnerability;
+
+  let p = applyAsatDetectPenalty(base, penalty) * (opts.detectDegradeFactor ?? 1.0);
+
+  const objectCount = opts.objectCount ?? 0;
+  if (sensor.trackCapacity != null && objectCount > sensor.trackCapacity) {
+    p *= sensor.trackCapacity / objectCount;
+  }
+  return clamp01(p);
+}
+
+/**
+ * Combine all sensors covering a phase into one detection probability.
+ * A sensor constellation that has lost satellites to ASAT detects in
+ * proportion to the share left (opts.sensorSurvival: { [key]: 0–1 }); a
+ * sensor that is down this trial (opts.sensorsDown: Set of keys) adds nothing.
+ */
+export function combinedDetectProbability(sensors, phase, opts = {}) {
+  let pMissAll = 1;
+  for (const [key, sensor] of Object.entries(sensors)) {
+    if (opts.sensorsDown?.has(key)) continue;
+    const survival = opts.sensorSurvival?.[key] ?? 1;
+    pMissAll *= 1 - survival * sensorDetectProbability(sensor, phase, opts);
+  }
+  return clamp01(1 - pMissAll);
+}
+
+/**
+ * Detection probability for one phase of a trial.
+ *
+ * @param {Object} params — scenario params (params.sensors optional)
+ * @param {string} phase
+ * @param {Object} opts — { asatDetectPenalty, detectDegradeFactor, objectCount, pDetectTrack,
+ *   sensorSurvival, sensorsDown }
+ *   pDetectTrack is the already-degraded fallback used when no sensors are listed.
+ * @returns {number}
+ */
+export function phaseDetectProbability(params, phase, opts = {}) {
+  if (params.sensors) return combinedDetectProbability(params.sensors, phase, opts);
+  return applyAsatDetectPenalty(opts.pDetectTrack ?? params.pDetectTrack, opts.asatDetectPenalty ?? 0);
+}
+
+/**
+ * Detection probabilities for every phase (no raid-size loading).
+ * @returns {{ boost: number, midcourse: number, terminal: number }}
+ */
+export function phaseDetectProbabilities(params, opts = {}) {
+  const result = {};
+  for (const phase of PHASES) {
+    result[phase] = phaseDetectProbability(params, phase, opts);
+  }
+  return result;
+}
+
+/**
+ * Kill assessment in a phase from the sensors that look at it. Sensors may set
+ *   killAssessment: { pMissedKill, pFalseKill }
+ * and the one least likely to declare a false kill among those up and
+ * covering the phase makes the call.
+ *
+ * @param {Set<string>} [sensorsDown]
+ * @returns {{ pMissedKill: number, pFalseKill: number }|null} null if no sensor assesses kills here
+ */
+export function phaseKillAssessment(sensors, phase, sensorsDown) {
+  let best = null;
+  for (const [key, sensor] of Object.entries(sensors ?? {})) {
+    const ka = sensor.killAssessment;
+    if (!ka || sensorsDown?.has(key) || !((sensor.pDetect?.[phase] ?? 0) > 0)) continue;
+    const candidate = { pMissedKill: ka.pMissedKill ?? 0, pFalseKill: ka.pFalseKill ?? 0 };
+    if (!best || candidate.pFalseKill < best.pFalseKill) best = candidate;
+  }
+  return best;
+}
+
+/**
+ * List the sensors contributing to a phase (for reporting).
+ * @returns {string[]} sensor keys
+ */
+export function sensorsForPhase(sensors, phase) {
+  return Object.keys(sensors).filter(key => (sensors[key].pDetect?.[phase] ?? 0) > 0);
+}
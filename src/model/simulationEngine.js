@@ -3,24 +3,72 @@
  *
  * Supports two modes:
  * 1. Legacy (flat params): single-phase engagement (backward compatible)
- * 2. Multi-phase (params.missileClasses + params.interceptors): Boost → Midcourse → Terminal
+ * 2. Multi-phase (params.missileClasses + params.interceptors): Boost → Midcourse → Terminal,
+ *    once per attack wave (params.waves) with inventory carried between waves; each class
+ *    meets the phases its trajectory profile exposes it to (see trajectories.js)
  */
 
-import { clamp01, bernoulli } from '../utils/rng.js';
-import { generateTargets, generateMissiles, expandToWarheadsAndDecoys } from './scenarioBuilder.js';
+import { clamp01, bernoulli, shuffle } from '../utils/rng.js';
+import {
+  generateTargets,
+  generateMissiles,
+  generateCruiseMissiles,
+  expandToWarheadsAndDecoys,
+} from './scenarioBuilder.js';
 import { classifyTarget, engageWithType, engageTarget } from './engagement.js';
+import { phaseDetectProbability, phaseKillAssessment, CRUISE_PHASE } from './sensors.js';
+import { trackParamsFrom, updateTrack, discriminationRates } from './tracking.js';
+import { planAllocation } from './allocation.js';
+import { shotCost } from './costExchange.js';
+import { buildTargetingTables, defendedAssetSet, totalAssetValue } from './assets.js';
+import { buildFootprintCoverage, coveringBatteries, drawFromBatteries } from './basing.js';
+import {
+  drawConstellationEpoch,
+  launchAreaFraction,
+  launchAreaKey,
+  launchAreaSlots,
+  totalSlots,
+} from './constellation.js';
+import {
+  boostPassMin,
+  boostReachKm,
+  engagementSpanMin,
+  engagementWindowSec,
+  shotsInWindow,
+  windowDoctrine,
+} from './boostWindow.js';
+import {
+  isLaser,
+  dwellCycleSec,
+  laserMagazine,
+  laserParams,
+  laserPhaseTimeSec,
+} from './directedEnergy.js';
+import { buildSatelliteGroups, runAsatCampaign, groupSurvival } from './asat.js';
+import { isNuclear, nuclearParams, TERMINAL_WINDOW_SEC } from './nuclearEffects.js';
+import { drawComponentStates } from './reliability.js';
+import { classProfiles, exposedTo, trajectoryPkFactor } from './trajectories.js';
+import { cmItem, cmFalseAlarm, loadoutDetectFactor, loadoutBoostEscape } from './countermeasures.js';
+import { phaseWindowSec, hasFireControl, engagementSlots } from './fireControl.js';
+import { emptyLeakCauses, trackCause } from './leakage.js';
+import {
+  buildDoctrine,
+  buildTypeDoctrines,
+  isHighValueTarget,
+  reserveHeld,
+  shotDoctrine,
+} from './doctrine.js';
 import {
-  constellationCoverage,
   boostAvailable,
   applyBoostEvasion,
-  applyAsatDetectPenalty,
   applyAsatPkPenalty,
   isSpaceBased,
   sortByPriority,
 } from './rules.js';
 
 // ---------------------------------------------------------------------------
-// Trial-level system degradation (common-mode reliability)
+// Trial-level system degradation (legacy single coin flip; multi-phase
+// trials draw component states, see reliability.js)
 // ---------------------------------------------------------------------------
 
 function applyTrialDegradation(params) {
@@ -120,15 +168,50 @@ function runLegacyTrial(params) {
     shotsAtDecoys,
     inventoryRemaining: inventory,
     systemUp: d.systemUp,
+    componentsDown: d.systemUp ? [] : ["c2"],
     // Multi-phase fields (zero for legacy)
     boostMissilesEngaged: 0,
+    boostMissilesUnreachable: 0,
     boostMissilesKilled: 0,
     boostWarheadsDestroyed: 0,
     midcourseWarheadsEngaged: 0,
     midcourseWarheadsKilled: 0,
     terminalWarheadsEngaged: 0,
     terminalWarheadsKilled: 0,
+    terminalDecoys: 0,
+    terminalTruePositives: 0,
+    terminalFalseNegatives: 0,
+    terminalFalsePositives: 0,
+    terminalShotsAtDecoys: 0,
+    nuclearBursts: 0,
+    blackoutLeakers: 0,
+    collateralKills: 0,
+    killAssessment: {},
+    falseKillLeakers: 0,
+    byThreat: {},
+    cmStats: {},
+    boostPayloadsEscaped: 0,
+    phaseLoad: {},
+    engagementLimits: {},
+    leakCauses: {},
+    trackLossByPhase: {},
+    waveResults: [],
+    exhaustedAtWave: {},
+    shotsByType: {},
+    killsByType: {},
+    decoyShotsByType: {},
+    inventoryByType: {},
+    warheadsNotDefended: 0,
+    warheadsOutOfFootprint: {},
+    boostInReachByArea: {},
+    laserTime: {},
+    asatResults: null,
+    assetsLost: {},
+    assetValueSurviving: null,
     ktDelivered: 0,
+    realWarheadsByClass: {},
+    penetratedByClass: {},
+    ktDeliveredByClass: {},
     architectureCost_M: 0,
   };
 }
@@ -138,47 +221,356 @@ function runLegacyTrial(params) {
 // ---------------------------------------------------------------------------
 
 function runMultiPhaseTrial(params) {
-  const d = applyTrialDegradation(params);
-
-  // --- ASAT effects ---
-  const asatDetectPenalty = params.countermeasures?.asatDetectPenalty ?? 0;
-  const asatSpacePkPenalty = params.countermeasures?.asatSpacePkPenalty ?? 0;
-  const pDetectTrack = applyAsatDetectPenalty(d.pDetectTrack_trial, asatDetectPenalty);
+  // Component reliability: C2, each sensor, each battery / constellation
+  const d = drawComponentStates(params);
+
+  // --- ASAT effects: a campaign attrits satellites; otherwise flat penalties ---
+  const asatCampaign = params.asatCampaign ?? null;
+  const asatDetectPenalty = asatCampaign ? 0 : params.countermeasures?.asatDetectPenalty ?? 0;
+  const asatSpacePkPenalty = asatCampaign ? 0 : params.countermeasures?.asatSpacePkPenalty ?? 0;
+  const sensorSurvival = {};
+
+  // --- Detection from the sensor network (or flat pDetectTrack), per phase ---
+  const detectOpts = {
+    asatDetectPenalty,
+    detectDegradeFactor: d.detectDegradeFactor,
+    pDetectTrack: d.pDetectTrack_trial,
+    sensorSurvival,
+    sensorsDown: d.sensorsDown,
+  };
+  const trackParams = trackParamsFrom(params);
 
   // --- Build per-type inventory and effective Pk ---
   const inventory = {};
   const effectivePk = {};
   const interceptorConfigs = params.interceptors;
-  const coverageFraction = constellationCoverage(
-    params.constellationAltitudeKm ?? 1000,
-    params.regionalCoverageFactor ?? 1.0
-  );
 
-  for (const [type, cfg] of Object.entries(interceptorConfigs)) {
-    let avail = cfg.deployed;
+  // Boost-phase space interceptors on orbit. At the start of each wave the
+  // share in reach of each launch area is drawn into that area's pool.
+  // boostReach holds, per class, the interceptors close enough to reach that
+  // class within its engagement window (a subset of its area's pool).
+  const constellation = {};
+  const boostPool = {};
+  const boostReach = {};
+  const constellationEpoch = drawConstellationEpoch(params.constellationShells);
+
+  // Ground-based types with batteries keep inventory per battery; the type's
+  // inventory is the sum across its batteries
+  const batteryInventory = {};
+
+  // Lasers: inventory is the shared magazine (shots); platform time is
+  // budgeted per phase of each wave
+  const laserTimeLeft = {};
+  const laserTime = {};
+  const laserPlatforms = {};
 
-    // Boost-phase space interceptors: limited by constellation coverage
-    if (cfg.phase === "boost") {
-      avail = boostAvailable(cfg.deployed, coverageFraction);
+  for (const [type, cfg] of Object.entries(interceptorConfigs)) {
+    // A type or battery that is down this trial fields nothing
+    const typeUp = !d.down.has(`type:${type}`);
+    if (isLaser(cfg)) {
+      const platforms = typeUp ? cfg.deployed : 0;
+      if (cfg.phase === "boost") constellation[type] = platforms;
+      inventory[type] = typeUp ? laserMagazine(cfg) : 0;
+      laserTime[type] = { availableSec: 0, busySec: 0 };
+      laserPlatforms[type] = platforms;
+    } else if (cfg.phase === "boost") {
+      constellation[type] = typeUp ? cfg.deployed : 0;
+      inventory[type] = 0;
+    } else if (cfg.batteries) {
+      batteryInventory[type] = cfg.batteries.map(b =>
+        d.down.has(`battery:${type}:${b.site}`) ? 0 : b.deployed
+      );
+      inventory[type] = batteryInventory[type].reduce((sum, n) => sum + n, 0);
+    } else {
+      inventory[type] = typeUp ? cfg.deployed : 0;
     }
 
-    inventory[type] = avail;
-
-    // Compute effective Pk: base * system-degradation * ASAT-penalty (if space-based)
-    let pk = cfg.pk * d.pkDegradeFactor;
+    // Compute effective Pk: base * C2 degradation * launch reliability (a dud
+    // is a miss) * ASAT-penalty (if space-based)
+    let pk = cfg.pk * d.pkDegradeFactor * (cfg.launchReliability ?? 1);
     if (isSpaceBased(type)) {
       pk = applyAsatPkPenalty(pk, asatSpacePkPenalty);
     }
     effectivePk[type] = clamp01(pk);
   }
 
-  // Doctrine params
-  const doctrineParams = {
-    doctrineMode: params.doctrineMode,
-    shotsPerTarget: params.shotsPerTarget,
-    maxShotsPerTarget: params.maxShotsPerTarget,
-    pReengage: params.pReengage,
-  };
+  // Defended assets: red aim points and blue preferential defense
+  const assets = params.assets ?? null;
+  const targetingTables = assets ? buildTargetingTables(assets, params.targeting) : {};
+  const defended = assets ? defendedAssetSet(assets, params.preferentialDefenseTopN) : null;
+  const isDefended = tgt => !defended || tgt.aimPoint == null || defended.has(tgt.aimPoint);
+
+  // Engagement footprints: a based type can only engage warheads aimed inside
+  // one of its batteries' footprints
+  const footprintCoverage = buildFootprintCoverage(interceptorConfigs, assets ?? {});
+
+  // Batteries of a based type able to engage a target (null if pooled). A
+  // target with no aim point can be engaged, and drawn on, from any battery.
+  function batteriesFor(tgt, type) {
+    if (tgt.aimPoint == null && batteryInventory[type]) return batteryInventory[type].map((_, i) => i);
+    return coveringBatteries(footprintCoverage, type, tgt.aimPoint);
+  }
+
+  function inFootprint(tgt, type) {
+    const batteries = batteriesFor(tgt, type);
+    return batteries === null || batteries.length > 0;
+  }
+
+  // Trajectory profile per missile class: phases exposed, detection and Pk factors
+  const profiles = classProfiles(params);
+  const canEngage = (tgt, type) => exposedTo(profiles[tgt.missileClass], interceptorConfigs[type]);
+  // Countermeasure loadouts: chaff and the like mask their own warheads
+  const loadouts = {};
+  for (const [className, cls] of Object.entries(params.missileClasses)) {
+    loadouts[className] = cls.cmLoadout ?? {};
+  }
+  const boostEscape = {};
+  for (const [className, loadout] of Object.entries(loadouts)) {
+    boostEscape[className] = loadoutBoostEscape(loadout);
+  }
+  const maskFactor = (tgt, phase) =>
+    tgt.kind === "warhead" ? loadoutDetectFactor(loadouts[tgt.missileClass], phase) : 1;
+
+  const phaseDetectFor = (tgt, phase, p) =>
+    clamp01(p * (profiles[tgt.missileClass].detectFactor[phase] ?? 1) * maskFactor(tgt, phase));
+
+  // Inventory of a type able to reach a target (covering batteries only)
+  function reachableInventory(tgt, type) {
+    if (!canEngage(tgt, type)) return 0;
+    if (laserTimeLeft[type]) {
+      const boost = interceptorConfigs[type].phase === "boost";
+      if (boost && (boostReach[type][tgt.missileClass] ?? 0) <= 0) return 0;
+      const timeLeft = laserTimeLeft[type][boost ? launchAreaKey(params, tgt.missileClass) : "all"] ?? 0;
+      return Math.min(inventory[type], Math.floor(timeLeft / dwellCycleSec(interceptorConfigs[type])));
+    }
+    if (boostPool[type]) {
+      const pool = boostPool[type][launchAreaKey(params, tgt.missileClass)] ?? 0;
+      return Math.min(pool, boostReach[type][tgt.missileClass] ?? 0);
+    }
+    const batteries = batteriesFor(tgt, type);
+    if (batteries === null) return inventory[type];
+    return batteries.reduce((sum, i) => sum + batteryInventory[type][i], 0);
+  }
+
+  // Stocks a planned shot draws on: the covering batteries, the launch area's
+  // boost pool, or the laser platform time left where the target is
+  function planSources(tgt, type) {
+    if (laserTimeLeft[type]) {
+      const area = interceptorConfigs[type].phase === "boost" ? launchAreaKey(params, tgt.missileClass) : "all";
+      const stock = Math.floor((laserTimeLeft[type][area] ?? 0) / dwellCycleSec(interceptorConfigs[type]));
+      return [{ key: `${type}@${area}`, stock }];
+    }
+    if (boostPool[type]) {
+      const area = launchAreaKey(params, tgt.missileClass);
+      return [{ key: `${type}@${area}`, stock: boostPool[type][area] ?? 0 }];
+    }
+    const batteries = batteriesFor(tgt, type);
+    if (batteries === null) return null;
+    return batteries.map(i => ({ key: `${type}#${i}`, stock: batteryInventory[type][i] }));
+  }
+
+  // Doctrine params: shot doctrine plus reserve / low-inventory rules
+  const doctrineParams = buildDoctrine(params);
+  const typeDoctrine = buildTypeDoctrines(params, doctrineParams);
+
+  // Kill assessment from the sensors looking at each phase replaces the
+  // doctrine's rates (sensors down this trial cannot assess)
+  for (const [type, cfg] of Object.entries(interceptorConfigs)) {
+    const ka = phaseKillAssessment(params.sensors, cfg.phase, d.sensorsDown);
+    if (ka) typeDoctrine[type] = { ...typeDoctrine[type], ...ka };
+  }
+
+  // Starting inventory per type, the base for reserve and low-inventory rules
+  // (boost types are reset to the in-view pool at the start of each wave)
+  const initialInventory = { ...inventory };
+  let isLastWave = true;
+
+  function reserveFor(type, phase, tgt, progress) {
+    return reserveHeld(type, typeDoctrine[type], {
+      phase,
+      initial: initialInventory[type],
+      lastWave: isLastWave,
+      progress,
+      highValue: tgt ? isHighValueTarget(tgt, doctrineParams, assets) : false,
+    });
+  }
+
+  // Raid-wide allocation (WTA) settings; the budget is spent across phases
+  const allocationPolicy = params.allocationPolicy ?? "greedy";
+  let allocationBudget_M = params.allocationBudget_M ?? Infinity;
+  const shotCosts = {};
+  for (const [type, cfg] of Object.entries(interceptorConfigs)) shotCosts[type] = shotCost(cfg);
+
+  // Most shots a type's doctrine puts on one target: the salvo for barrage
+  // types, the shoot-look-shoot cap otherwise
+  const shotCap = d => (d.doctrineMode === "barrage" ? d.shotsPerTarget : d.maxShotsPerTarget);
+
+  function planPhase(phase, targets, types, pkFor) {
+    // The planner sees inventory net of the reserve held at the start of the
+    // phase, and draws each shot from the stock where the target is (planSources)
+    const plannable = {};
+    for (const type of types) {
+      plannable[type] = Math.max(0, inventory[type] - reserveFor(type, phase, null, 0));
+    }
+
+    const result = planAllocation(targets, types, {
+      policy: allocationPolicy,
+      pkFor,
+      inventory: plannable,
+      sourcesFor: planSources,
+      channelsFor: planChannels,
+      costs: shotCosts,
+      maxShotsByType: Object.fromEntries(types.map(t => [t, shotCap(typeDoctrine[t])])),
+      sequential: Object.fromEntries(types.map(t => [
+        t, isLaser(interceptorConfigs[t]) || typeDoctrine[t].doctrineMode !== "barrage",
+      ])),
+      budget_M: allocationBudget_M,
+    });
+    if (!result) return null;
+    allocationBudget_M -= result.cost_M;
+    return result.plan;
+  }
+
+  // Fire-control channels: engagements left per battery (one entry for an
+  // unbased type) in the current phase window
+  const channelSlots = {};
+  const engagementLimits = {}; // midcourse/terminal types: engagements denied by cause
+  for (const [type, cfg] of Object.entries(interceptorConfigs)) {
+    if (cfg.phase !== "boost" && cfg.deployed > 0) {
+      engagementLimits[type] = { channelDenied: 0, inventoryDenied: 0 };
+    }
+  }
+
+  function startFireControl(phase, types) {
+    const windowSec = phaseWindowSec(params, phase);
+    for (const type of types) {
+      const cfg = interceptorConfigs[type];
+      if (!hasFireControl(cfg) || windowSec == null) continue;
+      const slots = engagementSlots(cfg, windowSec);
+      channelSlots[type] = cfg.batteries ? cfg.batteries.map(() => slots) : [slots];
+    }
+  }
+
+  function channelsAvailable(tgt, type) {
+    const slots = channelSlots[type];
+    if (!slots) return Infinity;
+    const batteries = batteriesFor(tgt, type);
+    if (batteries === null) return slots.reduce((sum, n) => sum + n, 0);
+    return batteries.reduce((sum, i) => sum + slots[i], 0);
+  }
+
+  // Channels a planned engagement would hold (any covering battery)
+  function planChannels(tgt, type) {
+    const slots = channelSlots[type];
+    if (!slots) return null;
+    const batteries = batteriesFor(tgt, type) ?? slots.map((_, i) => i);
+    return batteries.map(i => ({ key: `${type}~${i}`, stock: slots[i] }));
+  }
+
+  // An engagement holds a channel on the covering battery with the most free
+  function useChannel(tgt, type) {
+    const slots = channelSlots[type];
+    if (!slots) return;
+    const batteries = batteriesFor(tgt, type) ?? slots.map((_, i) => i);
+    let best = null;
+    for (const i of batteries) {
+      if (slots[i] > 0 && (best === null || slots[i] > slots[best])) best = i;
+    }
+    if (best !== null) slots[best] -= 1;
+  }
+
+  /**
+   * Engage one target with a phase's interceptor types. With a plan, only the
+   * planned types and shot counts are used; without one (greedy), each type
+   * is tried in priority order until the target is killed. Reserved
+   * inventory is never fired.
+   *
+   * @param {number} progress — share of the phase's engageable targets already engaged
+   * @returns {{ killed: boolean, shotsFired: number, nuclearType: string|null, falseKill: boolean,
+   *   cause: string|null, killedBy: string|null }}
+   *   nuclearType — a nuclear-armed type that fired (its bursts have side effects)
+   *   falseKill — a miss was assessed as a kill; no further type is tried and
+   *   the track is marked so later phases leave it alone
+   *   cause — why a surviving target got through (see leakage.js)
+   *   killedBy — the type whose shot killed the target
+   */
+  function engageLayered(tgt, phase, types, pkFor, plan, progress) {
+    const steps = plan
+      ? plan.get(tgt) ?? []
+      : types.map(type => ({ type, shots: null }));
+
+    let shotsFired = 0;
+    let nuclearType = null;
+    let denied = null; // a type able to engage was out of channels or inventory
+    for (const { type, shots } of steps) {
+      const available = Math.min(
+        inventory[type] - reserveFor(type, phase, tgt, progress),
+        reachableInventory(tgt, type)
+      );
+      const limits = engagementLimits[type];
+      if (available <= 0) {
+        if (pkFor(tgt, type) > 0 && interceptorConfigs[type].deployed > 0) {
+          if (limits) limits.inventoryDenied++;
+          denied ??= "noInventory";
+        }
+        continue;
+      }
+      if (channelsAvailable(tgt, type) <= 0) {
+        limits.channelDenied++;
+        denied = "channels";
+        continue;
+      }
+
+      let base = shots == null
+        ? typeDoctrine[type]
+        : { ...typeDoctrine[type], shotsPerTarget: shots, maxShotsPerTarget: shots };
+      if (phase === "boost") base = windowDoctrine(base, boostShots[type][tgt.missileClass]);
+      const doctrine = shotDoctrine(base, inventory[type], initialInventory[type]);
+      const laser = laserTimeLeft[type];
+      const weapon = laser ? { kind: "laser", dwellCycleSec: dwellCycleSec(interceptorConfigs[type]) } : null;
+      const res = engageWithType(tgt, pkFor(tgt, type), doctrine, available, weapon);
+      inventory[type] -= res.shotsFired;
+      shotsByType[type] += res.shotsFired;
+      if (tgt.kind === "decoy") decoyShotsByType[type] += res.shotsFired;
+      killAssessment[phase].wastedShots += res.wastedShots ?? 0;
+      if (res.shotsFired > 0 && isNuclear(interceptorConfigs[type])) {
+        nuclearType = type;
+        nuclearBursts += res.shotsFired;
+      }
+
+      if (laser) {
+        // Platform time is spent; the platforms themselves are not expended
+        laser[phase === "boost" ? launchAreaKey(params, tgt.missileClass) : "all"] -= res.timeUsedSec;
+        laserTime[type].busySec += res.timeUsedSec;
+      } else {
+        const batteries = batteriesFor(tgt, type);
+        if (batteries) drawFromBatteries(batteryInventory[type], batteries, res.shotsFired);
+        if (boostPool[type]) {
+          boostPool[type][launchAreaKey(params, tgt.missileClass)] -= res.shotsFired;
+          boostReach[type][tgt.missileClass] -= res.shotsFired;
+        }
+      }
+      if (res.shotsFired > 0) useChannel(tgt, type);
+      shotsFired += res.shotsFired;
+
+      if (res.killed) {
+        return { killed: true, shotsFired, nuclearType, falseKill: false, cause: null, killedBy: type };
+      }
+      if (res.falseKill) {
+        killAssessment[phase].falseKills++;
+        if (tgt.track) tgt.track.assessedKilled = true;
+        return { killed: false, shotsFired, nuclearType, falseKill: true, cause: "falseKill", killedBy: null };
+      }
+    }
+
+    // Nothing fired: a fielded type with a positive Pk was denied or passed
+    // the target up; otherwise none could reach it
+    const inReach = types.some(type => interceptorConfigs[type].deployed > 0 && pkFor(tgt, type) > 0);
+    const cause = shotsFired > 0
+      ? "allMissed"
+      : denied ?? (inReach ? "unallocated" : "outOfFootprint");
+    return { killed: false, shotsFired, nuclearType, falseKill: false, cause, killedBy: null };
+  }
 
   // Stats
   let totalRealWarheads = 0;
@@ -194,223 +586,773 @@ function runMultiPhaseTrial(params) {
   let shotsAtDecoys = 0;
 
   let boostMissilesEngaged = 0;
+  let boostMissilesUnreachable = 0; // tracked, but no boost interceptor in reach
   let boostMissilesKilled = 0;
   let boostWarheadsDestroyed = 0;
   let midcourseWarheadsEngaged = 0;
   let midcourseWarheadsKilled = 0;
   let terminalWarheadsEngaged = 0;
   let terminalWarheadsKilled = 0;
+  let terminalDecoys = 0;
+  // Terminal re-classification, kept apart from the midcourse counts above
+  // (terminal false alarms still add to falsePositives; this is the breakdown)
+  let terminalTruePositives = 0;
+  let terminalFalseNegatives = 0;
+  let terminalFalsePositives = 0;
+  let terminalShotsAtDecoys = 0;
+
+  // Nuclear terminal intercepts: bursts, leakers lost in blackout, collateral kills
+  let nuclearBursts = 0;
+  let blackoutLeakers = 0;
+  let collateralKills = 0;
+
+  let warheadsNotDefended = 0; // threats passed up under preferential defense
+
+  // Imperfect kill assessment: misses assessed as kills and shots wasted on
+  // kills assessed as misses, per phase; warheads let through after a false kill
+  const killAssessment = {
+    boost: { falseKills: 0, wastedShots: 0 },
+    midcourse: { falseKills: 0, wastedShots: 0 },
+    terminal: { falseKills: 0, wastedShots: 0 },
+  };
+  let falseKillLeakers = 0;
+
+  // Decoys by countermeasure item ("generic" = decoysPerWarhead): objects
+  // deployed, classified as warheads in midcourse, and shots drawn
+  const cmStats = { generic: { objects: 0, falseAlarms: 0, shots: 0 } };
+  for (const loadout of Object.values(loadouts)) {
+    for (const key of Object.keys(loadout)) {
+      if (cmItem(key)?.objects) cmStats[key] ??= { objects: 0, falseAlarms: 0, shots: 0 };
+    }
+  }
+  let boostPayloadsEscaped = 0; // boost intercepts that landed after an early payload release
 
-  // ===================================================================
-  // BOOST PHASE — target: whole missiles (pre-MIRV separation)
-  // ===================================================================
-  const missiles = generateMissiles(params);
-  const survivingMissiles = [];
+  // Engageable real warheads aimed outside every footprint of the phase's types
+  const warheadsOutOfFootprint = { midcourse: 0, terminal: 0 };
 
-  // Get boost interceptor types sorted by cost
-  const boostTypes = sortByPriority(
-    Object.keys(interceptorConfigs).filter(t => interceptorConfigs[t].phase === "boost"),
-    interceptorConfigs
-  );
+  const warheadsOnAsset = {};
+  if (assets) {
+    for (const key of Object.keys(assets)) warheadsOnAsset[key] = 0;
+  }
 
-  for (const missile of missiles) {
-    // Detection in boost phase
-    const detected = bernoulli(pDetectTrack);
-    if (!detected) {
-      survivingMissiles.push(missile);
-      continue;
-    }
+  // Per-type consumption: shots, real warheads killed (a boost kill counts
+  // the missile's warheads), and shots spent on decoys
+  const shotsByType = {};
+  const killsByType = {};
+  const decoyShotsByType = {};
+  for (const type of Object.keys(interceptorConfigs)) {
+    shotsByType[type] = 0;
+    killsByType[type] = 0;
+    decoyShotsByType[type] = 0;
+  }
 
-    // Engage with boost interceptors (layered: try each type)
-    let killed = false;
-    boostMissilesEngaged++;
+  // Track custody on real warheads at each handover
+  const trackLossByPhase = {
+    midcourse: { handovers: 0, dropped: 0, lost: 0 },
+    terminal: { handovers: 0, dropped: 0, lost: 0 },
+  };
 
-    for (const type of boostTypes) {
-      if (inventory[type] <= 0) continue;
+  function recordTrackOutcome(phase, outcome) {
+    const t = trackLossByPhase[phase];
+    if (outcome === "held" || outcome === "reacquired" || outcome === "lost") t.handovers++;
+    if (outcome === "reacquired" || outcome === "lost") t.dropped++;
+    if (outcome === "lost") t.lost++;
+  }
 
-      // Pk adjusted for this missile's boost evasion
-      const pk = applyBoostEvasion(effectivePk[type], missile.boostEvasion);
+  // Yield and per-class accounting: each penetrating warhead carries its own
+  // yieldKt and missileClass, so mixed-class raids are summed exactly.
+  let ktDelivered = 0;
+  const realWarheadsByClass = {};
+  const penetratedByClass = {};
+  const ktDeliveredByClass = {};
+  for (const className of Object.keys(profiles)) {
+    realWarheadsByClass[className] = 0;
+    penetratedByClass[className] = 0;
+    ktDeliveredByClass[className] = 0;
+  }
 
-      const res = engageWithType(missile, pk, doctrineParams, inventory[type]);
-      inventory[type] = res.inventoryRemaining;
-      shotsTotal += res.shotsFired;
-      shotsAtTrueWarheads += res.shotsFired; // boost targets are always real missiles
+  // Ballistic and air-breathing threats compete for terminal inventory
+  const byThreat = {
+    ballistic: { penetrated: 0, killed: 0, terminalShots: 0 },
+    cruise: { penetrated: 0, killed: 0, terminalShots: 0 },
+  };
 
-      if (res.killed) {
-        killed = true;
-        break;
-      }
-    }
+  // Leakage attribution: why each penetrating warhead got through each phase
+  const leakCauses = emptyLeakCauses();
 
-    if (killed) {
-      boostMissilesKilled++;
-      boostWarheadsDestroyed += missile.mirvsPerMissile;
-    } else {
-      survivingMissiles.push(missile);
-    }
+  // Tag a missile or warhead leaving a phase alive with the cause (see leakage.js)
+  function passPhase(tgt, phase, types, cause) {
+    if (tgt.kind === "decoy") return;
+    const covered = types.some(type => interceptorConfigs[type].deployed > 0 && canEngage(tgt, type));
+    (tgt.leakCauses ??= {})[phase] = covered ? cause : "noDefense";
   }
 
-  // ===================================================================
-  // MIDCOURSE PHASE — target: individual warheads + decoys
-  // ===================================================================
-  const { targets: midcourseTargets, realWarheads: midcourseRealWarheads, decoys: midcourseDecoys } =
-    expandToWarheadsAndDecoys(survivingMissiles);
-
-  // Count total real warheads across all missiles (for stats)
-  for (const m of missiles) {
-    totalRealWarheads += m.mirvsPerMissile;
+  function recordPenetration(wh, cause) {
+    passPhase(wh, "terminal", terminalTypes, cause);
+    for (const [phase, c] of Object.entries(wh.leakCauses)) leakCauses[phase][c]++;
+    penetratedRealWarheads++;
+    byThreat[wh.threat ?? "ballistic"].penetrated++;
+    ktDelivered += wh.yieldKt;
+    penetratedByClass[wh.missileClass] += 1;
+    ktDeliveredByClass[wh.missileClass] += wh.yieldKt;
+    if (wh.aimPoint != null) warheadsOnAsset[wh.aimPoint] += 1;
   }
 
-  // Get midcourse interceptor types sorted by cost
+  // Interceptor types per phase, sorted by cost
+  const boostTypes = sortByPriority(
+    Object.keys(interceptorConfigs).filter(t => interceptorConfigs[t].phase === "boost"),
+    interceptorConfigs
+  );
+
   const midcourseTypes = sortByPriority(
     Object.keys(interceptorConfigs).filter(t => interceptorConfigs[t].phase === "midcourse"),
     interceptorConfigs
   );
 
-  const survivingWarheads = []; // warheads that survive midcourse (for terminal)
+  const terminalTypes = sortByPriority(
+    Object.keys(interceptorConfigs).filter(t => interceptorConfigs[t].phase === "terminal"),
+    interceptorConfigs
+  );
 
-  for (const tgt of midcourseTargets) {
-    const detected = bernoulli(pDetectTrack);
-    if (!detected) {
-      if (tgt.kind === "warhead") survivingWarheads.push(tgt);
-      continue;
+  // Boost engagement windows: ground reach and sequential shots per
+  // (type, class), from burn time and interceptor kinematics
+  const boostReachKmFor = {};
+  const boostShots = {};
+  for (const type of boostTypes) {
+    boostReachKmFor[type] = {};
+    boostShots[type] = {};
+    for (const [className, cls] of Object.entries(params.missileClasses)) {
+      boostReachKmFor[type][className] = boostReachKm(interceptorConfigs[type], cls, params);
+      boostShots[type][className] = shotsInWindow(interceptorConfigs[type], cls, params);
     }
+  }
 
-    detectedObjects++;
-    if (tgt.kind === "warhead") detectedRealWarheads++;
+  // Pk adjusted for each missile's boost evasion; zero with nothing in reach,
+  // so planners skip the pair
+  const boostPkFor = (missile, type) =>
+    (boostReach[type]?.[missile.missileClass] ?? 0) > 0
+      ? applyBoostEvasion(effectivePk[type], missile.boostEvasion)
+      : 0;
+
+  // Zero outside a based type's footprint or for a trajectory the type cannot
+  // engage, so planners skip those targets; maneuvering and gliding vehicles
+  // cut Pk by their profile's factor
+  const phasePkFor = (tgt, type) => {
+    const cmFactor = tgt.cm ? cmItem(tgt.cm)?.pkFactor ?? 1 : 1;
+    return clamp01(plannedPkFor(tgt, type) * cmFactor);
+  };
+  // The planner cannot tell a catalog decoy from a warhead, so it expects the
+  // Pk against a warhead of the same class
+  function plannedPkFor(tgt, type) {
+    if (!inFootprint(tgt, type) || !canEngage(tgt, type)) return 0;
+    const factor = trajectoryPkFactor(profiles[tgt.missileClass], interceptorConfigs[type].phase);
+    return clamp01(effectivePk[type] * factor);
+  }
 
-    // Classification
-    const classifiedAsWarhead = classifyTarget(tgt, params);
+  function recordFootprint(tgt, phase, types) {
+    const fielded = types.filter(type => interceptorConfigs[type].deployed > 0 && canEngage(tgt, type));
+    if (tgt.kind !== "warhead" || fielded.length === 0) return;
+    if (!fielded.some(type => inFootprint(tgt, type))) warheadsOutOfFootprint[phase]++;
+  }
 
-    if (tgt.kind === "warhead") {
-      if (classifiedAsWarhead) truePositives++;
-      else falseNegatives++;
-    } else {
-      if (classifiedAsWarhead) falsePositives++;
+  const pDecoyBurnup = params.pDecoyBurnup ?? 0.7;
+  const burnsUp = obj => bernoulli(obj.cm ? cmItem(obj.cm)?.pBurnup ?? pDecoyBurnup : pDecoyBurnup);
+
+  // Catalog countermeasures have their own false-alarm rate per phase
+  const classifyRatesFor = (tgt, phase, base) =>
+    tgt.cm ? { ...base, pFalseAlarmDecoy: cmFalseAlarm(tgt.cm, phase, base.pFalseAlarmDecoy) } : base;
+
+  // Atmospheric filtering improves discrimination; terminal rates default to
+  // "every warhead track is engaged" and the midcourse false-alarm rate.
+  const terminalClassifyParams = {
+    pClassifyWarhead: params.pClassifyWarheadTerminal ?? 1.0,
+    pFalseAlarmDecoy: params.pFalseAlarmDecoyTerminal ?? params.pFalseAlarmDecoy,
+  };
+
+  /**
+   * Budget laser platform time for one phase of a wave. In boost, each launch
+   * area gets its in-reach platforms for the longest window launched from it.
+   */
+  function startLaserPhase(phase, types) {
+    for (const type of types) {
+      const cfg = interceptorConfigs[type];
+      if (!isLaser(cfg)) continue;
+      laserTimeLeft[type] = {};
+
+      if (phase !== "boost") {
+        laserTimeLeft[type].all = laserPhaseTimeSec(cfg, laserPlatforms[type]);
+      } else {
+        for (const [area, platforms] of Object.entries(boostPool[type])) {
+          let timelineSec = 0;
+          for (const [className, cls] of Object.entries(params.missileClasses)) {
+            if (launchAreaKey(params, className) !== area) continue;
+            timelineSec = Math.max(
+              timelineSec,
+              engagementWindowSec(cls, params) ?? laserParams(cfg).timelineSec
+            );
+          }
+          laserTimeLeft[type][area] = platforms * timelineSec;
+        }
+      }
+      for (const sec of Object.values(laserTimeLeft[type])) laserTime[type].availableSec += sec;
     }
+  }
 
-    if (!classifiedAsWarhead) {
-      if (tgt.kind === "warhead") survivingWarheads.push(tgt);
-      continue;
+  // Objects presented to the sensors in each phase (largest wave), against
+  // their track capacity
+  const phaseLoad = {};
+  function recordLoad(phase, n) {
+    phaseLoad[phase] = Math.max(phaseLoad[phase] ?? 0, n);
+  }
+
+  /**
+   * Run one salvo through Boost → Midcourse → Terminal against the
+   * trial's current inventory.
+   */
+  function runWave(missiles, cruiseMissiles) {
+    // ===================================================================
+    // BOOST PHASE — target: whole missiles (pre-MIRV separation)
+    // ===================================================================
+    const survivingMissiles = [];
+    const pDetectBoost = phaseDetectProbability(params, "boost", {
+      ...detectOpts,
+      objectCount: missiles.length,
+    });
+    recordLoad("boost", missiles.length);
+
+    const boostEngageable = [];
+    for (const missile of missiles) {
+      // Detection in boost phase (first look: no cue)
+      updateTrack(missile, phaseDetectFor(missile, "boost", pDetectBoost), trackParams, true);
+      if (!missile.track.held) {
+        passPhase(missile, "boost", boostTypes, "undetected");
+        survivingMissiles.push(missile);
+        continue;
+      }
+      boostEngageable.push(missile);
+    }
+
+    startLaserPhase("boost", boostTypes);
+    const boostPlan = planPhase("boost", boostEngageable, boostTypes, boostPkFor);
+
+    boostEngageable.forEach((missile, i) => {
+      // Engage with boost interceptors (layered: try each type)
+      boostMissilesEngaged++;
+      if (!boostTypes.some(type => reachableInventory(missile, type) > 0)) {
+        boostMissilesUnreachable++;
+      }
+
+      const { killed, shotsFired, cause, killedBy } = engageLayered(
+        missile, "boost", boostTypes, boostPkFor, boostPlan, i / boostEngageable.length
+      );
+      shotsTotal += shotsFired;
+      shotsAtTrueWarheads += shotsFired; // boost targets are always real missiles
+
+      if (killed && boostEscape[missile.missileClass] > 0 && bernoulli(boostEscape[missile.missileClass])) {
+        // Payload released before the intercept landed: only the booster dies,
+        // so the missile is not counted as killed
+        boostPayloadsEscaped++;
+        passPhase(missile, "boost", boostTypes, "boostEscape");
+        survivingMissiles.push(missile);
+      } else if (killed) {
+        boostMissilesKilled++;
+        boostWarheadsDestroyed += missile.mirvsPerMissile;
+        killsByType[killedBy] += missile.mirvsPerMissile;
+      } else {
+        passPhase(missile, "boost", boostTypes, cause);
+        survivingMissiles.push(missile);
+      }
+    });
+
+    // ===================================================================
+    // MIDCOURSE PHASE — target: individual warheads + decoys
+    // ===================================================================
+    const { targets: midcourseTargets, realWarheads: midcourseRealWarheads, decoys: midcourseDecoys } =
+      expandToWarheadsAndDecoys(survivingMissiles);
+
+    // Count total real warheads across all missiles (for stats)
+    for (const m of missiles) {
+      totalRealWarheads += m.mirvsPerMissile;
+      realWarheadsByClass[m.missileClass] += m.mirvsPerMissile;
     }
 
-    // Engage with midcourse interceptors (layered)
-    let killed = false;
-    if (tgt.kind === "warhead") midcourseWarheadsEngaged++;
+    const pDetectMidcourse = phaseDetectProbability(params, "midcourse", {
+      ...detectOpts,
+      objectCount: midcourseTargets.length,
+    });
+    recordLoad("midcourse", midcourseTargets.length);
+
+    // Objects that survive midcourse and continue into reentry (warheads + decoys)
+    const reentryObjects = [];
+    const midcourseEngageable = [];
+
+    for (const tgt of midcourseTargets) {
+      if (tgt.kind === "decoy") cmStats[tgt.cm ?? "generic"].objects++;
+      const outcome = updateTrack(tgt, phaseDetectFor(tgt, "midcourse", pDetectMidcourse), trackParams);
+      if (tgt.kind === "warhead") recordTrackOutcome("midcourse", outcome);
+      if (outcome !== "held" && tgt.track) tgt.track.assessedKilled = false;
+      if (!tgt.track.held) {
+        passPhase(tgt, "midcourse", midcourseTypes, trackCause(outcome));
+        reentryObjects.push(tgt);
+        continue;
+      }
 
-    for (const type of midcourseTypes) {
-      if (inventory[type] <= 0) continue;
+      detectedObjects++;
+      if (tgt.kind === "warhead") detectedRealWarheads++;
 
-      const res = engageWithType(tgt, effectivePk[type], doctrineParams, inventory[type]);
-      inventory[type] = res.inventoryRemaining;
-      shotsTotal += res.shotsFired;
+      // Classification, sharpened by track looks carried over from boost
+      const classifiedAsWarhead = classifyTarget(
+        tgt,
+        discriminationRates(tgt, classifyRatesFor(tgt, "midcourse", params), trackParams)
+      );
+      if (tgt.kind === "decoy" && classifiedAsWarhead) cmStats[tgt.cm ?? "generic"].falseAlarms++;
 
-      if (tgt.kind === "warhead") shotsAtTrueWarheads += res.shotsFired;
-      else shotsAtDecoys += res.shotsFired;
+      if (tgt.kind === "warhead") {
+        if (classifiedAsWarhead) truePositives++;
+        else falseNegatives++;
+      } else {
+        if (classifiedAsWarhead) falsePositives++;
+      }
 
-      if (res.killed) {
-        killed = true;
-        break;
+      if (!classifiedAsWarhead) {
+        passPhase(tgt, "midcourse", midcourseTypes, "misclassified");
+        reentryObjects.push(tgt);
+        continue;
       }
+
+      // Preferential defense: threats aimed at undefended assets are let through
+      if (!isDefended(tgt)) {
+        passPhase(tgt, "midcourse", midcourseTypes, "notDefended");
+        reentryObjects.push(tgt);
+        continue;
+      }
+
+      // A track held since a false kill assessment is believed dead
+      if (tgt.track.assessedKilled) {
+        passPhase(tgt, "midcourse", midcourseTypes, "falseKill");
+        reentryObjects.push(tgt);
+        continue;
+      }
+      midcourseEngageable.push(tgt);
     }
 
-    if (tgt.kind === "warhead") {
+    startLaserPhase("midcourse", midcourseTypes);
+    startFireControl("midcourse", midcourseTypes);
+    const midcoursePlan = planPhase("midcourse", midcourseEngageable, midcourseTypes, plannedPkFor);
+
+    midcourseEngageable.forEach((tgt, i) => {
+      // Engage with midcourse interceptors (layered)
+      if (tgt.kind === "warhead") midcourseWarheadsEngaged++;
+      recordFootprint(tgt, "midcourse", midcourseTypes);
+
+      const { killed, shotsFired, cause, killedBy } = engageLayered(
+        tgt, "midcourse", midcourseTypes, phasePkFor, midcoursePlan, i / midcourseEngageable.length
+      );
+      shotsTotal += shotsFired;
+      if (tgt.kind === "warhead") {
+        shotsAtTrueWarheads += shotsFired;
+      } else {
+        shotsAtDecoys += shotsFired;
+        cmStats[tgt.cm ?? "generic"].shots += shotsFired;
+      }
+
       if (killed) {
-        midcourseWarheadsKilled++;
-        interceptedRealWarheads++;
+        if (tgt.kind === "warhead") {
+          midcourseWarheadsKilled++;
+          interceptedRealWarheads++;
+          killsByType[killedBy]++;
+        }
+        // Decoys killed in midcourse: wasted shots, removed from the raid.
       } else {
-        survivingWarheads.push(tgt);
+        passPhase(tgt, "midcourse", midcourseTypes, cause);
+        reentryObjects.push(tgt);
+      }
+    });
+
+    // ===================================================================
+    // TERMINAL PHASE — warheads + decoys that survive reentry burn-up
+    // ===================================================================
+    const terminalObjects = reentryObjects.filter(
+      obj => obj.kind === "warhead" || !burnsUp(obj)
+    );
+    const pDetectTerminal = phaseDetectProbability(params, "terminal", {
+      ...detectOpts,
+      objectCount: terminalObjects.length,
+    });
+    recordLoad("terminal", terminalObjects.length);
+
+    const terminalEngageable = [];
+
+    for (const tgt of terminalObjects) {
+      const isWarhead = tgt.kind === "warhead";
+      if (!isWarhead) terminalDecoys++;
+
+      // Terminal handover of midcourse tracks (or uncued acquisition)
+      const outcome = updateTrack(tgt, phaseDetectFor(tgt, "terminal", pDetectTerminal), trackParams);
+      if (isWarhead) recordTrackOutcome("terminal", outcome);
+      if (outcome !== "held" && tgt.track) tgt.track.assessedKilled = false;
+      if (!tgt.track.held) {
+        if (isWarhead) recordPenetration(tgt, trackCause(outcome));
+        continue;
       }
-    }
-    // Decoys: if engaged and killed, wasted shots. If not killed, ignored.
-  }
 
-  // ===================================================================
-  // TERMINAL PHASE — warheads only (decoys mostly burn up during reentry)
-  // ===================================================================
-  const pDecoyBurnup = params.pDecoyBurnup ?? 0.7;
+      // Re-classification with terminal discrimination rates
+      const classifiedAsWarhead = classifyTarget(
+        tgt,
+        discriminationRates(tgt, classifyRatesFor(tgt, "terminal", terminalClassifyParams), trackParams)
+      );
+
+      if (isWarhead) {
+        if (classifiedAsWarhead) terminalTruePositives++;
+        else terminalFalseNegatives++;
+      } else if (classifiedAsWarhead) {
+        falsePositives++;
+        terminalFalsePositives++;
+      }
 
-  // Get terminal interceptor types sorted by cost
-  const terminalTypes = sortByPriority(
-    Object.keys(interceptorConfigs).filter(t => interceptorConfigs[t].phase === "terminal"),
-    interceptorConfigs
-  );
+      if (!classifiedAsWarhead) {
+        if (isWarhead) recordPenetration(tgt, "misclassified");
+        continue;
+      }
 
-  for (const wh of survivingWarheads) {
-    // Terminal detection (may be re-detected; use same probability)
-    const detected = bernoulli(pDetectTrack);
-    if (!detected) {
-      penetratedRealWarheads++;
-      continue;
+      if (!isDefended(tgt)) {
+        if (isWarhead) {
+          warheadsNotDefended++;
+          recordPenetration(tgt, "notDefended");
+        }
+        continue;
+      }
+
+      if (tgt.track.assessedKilled) {
+        if (isWarhead) {
+          falseKillLeakers++;
+          recordPenetration(tgt, "falseKill");
+        }
+        continue;
+      }
+      terminalEngageable.push(tgt);
     }
 
-    // In terminal phase, better discrimination (fewer decoys)
-    // Since survivingWarheads only contains warheads, no classification needed here
+    // Air-breathing threats join the terminal fight: new tracks from the
+    // low-altitude sensors, nothing to discriminate
+    if (cruiseMissiles.length > 0) {
+      const pDetectCruise = phaseDetectProbability(params, CRUISE_PHASE, {
+        ...detectOpts,
+        objectCount: cruiseMissiles.length,
+      });
+      recordLoad(CRUISE_PHASE, cruiseMissiles.length);
+      for (const cm of cruiseMissiles) {
+        totalRealWarheads++;
+        realWarheadsByClass[cm.missileClass]++;
+        const outcome = updateTrack(cm, pDetectCruise, trackParams, true);
+        if (!cm.track.held) {
+          recordPenetration(cm, trackCause(outcome));
+          continue;
+        }
+        if (!isDefended(cm)) {
+          warheadsNotDefended++;
+          recordPenetration(cm, "notDefended");
+          continue;
+        }
+        terminalEngageable.push(cm);
+      }
+      shuffle(terminalEngageable);
+    }
+
+    startLaserPhase("terminal", terminalTypes);
+    startFireControl("terminal", terminalTypes);
+    const terminalPlan = planPhase("terminal", terminalEngageable, terminalTypes, plannedPkFor);
+
+    // Arrival times over each defended asset, spread across the terminal
+    // window, for nuclear blackout and collateral effects
+    const terminalWindowSec = params.terminalWindowSec ?? TERMINAL_WINDOW_SEC;
+    const byArea = new Map();
+    for (const tgt of terminalEngageable) {
+      const area = tgt.aimPoint ?? null;
+      if (!byArea.has(area)) byArea.set(area, []);
+      byArea.get(area).push(tgt);
+    }
+    const arrivalSec = new Map();
+    for (const group of byArea.values()) {
+      group.forEach((tgt, k) => arrivalSec.set(tgt, (k / group.length) * terminalWindowSec));
+    }
+    const blackoutUntil = new Map(); // area → end of blackout (s)
+    const collateralKilled = new Set();
+
+    terminalEngageable.forEach((tgt, i) => {
+      const isWarhead = tgt.kind === "warhead";
+      const area = tgt.aimPoint ?? null;
+      const tSec = arrivalSec.get(tgt);
+
+      // Destroyed by an earlier nuclear burst over the same asset
+      if (collateralKilled.has(tgt)) {
+        if (isWarhead) {
+          collateralKills++;
+          interceptedRealWarheads++;
+        }
+        return;
+      }
 
-    terminalWarheadsEngaged++;
+      // Radar blackout: the track must survive the burst environment
+      const blackout = blackoutUntil.get(area);
+      if (blackout && tSec < blackout.untilSec && !bernoulli(1 - blackout.trackPenalty)) {
+        if (isWarhead) {
+          blackoutLeakers++;
+          recordPenetration(tgt, "blackout");
+        }
+        return;
+      }
 
-    let killed = false;
-    for (const type of terminalTypes) {
-      if (inventory[type] <= 0) continue;
+      if (isWarhead && tgt.threat !== "cruise") terminalWarheadsEngaged++;
+      recordFootprint(tgt, "terminal", terminalTypes);
+
+      const { killed, shotsFired, nuclearType, falseKill, cause, killedBy } = engageLayered(
+        tgt, "terminal", terminalTypes, phasePkFor, terminalPlan, i / terminalEngageable.length
+      );
+
+      if (nuclearType) {
+        const np = nuclearParams(interceptorConfigs[nuclearType]);
+        const untilSec = tSec + np.blackoutSec;
+        if (!blackout || untilSec > blackout.untilSec) {
+          blackoutUntil.set(area, { untilSec, trackPenalty: np.blackoutTrackPenalty });
+        }
+        for (const other of byArea.get(area)) {
+          if (other === tgt || collateralKilled.has(other)) continue;
+          const dt = arrivalSec.get(other) - tSec;
+          if (dt > 0 && dt <= np.collateralWindowSec && bernoulli(np.pCollateralKill)) {
+            collateralKilled.add(other);
+          }
+        }
+      }
+      shotsTotal += shotsFired;
+      byThreat[tgt.threat ?? "ballistic"].terminalShots += shotsFired;
+      if (isWarhead) {
+        shotsAtTrueWarheads += shotsFired;
+      } else {
+        shotsAtDecoys += shotsFired;
+        terminalShotsAtDecoys += shotsFired;
+        cmStats[tgt.cm ?? "generic"].shots += shotsFired;
+      }
 
-      const res = engageWithType(wh, effectivePk[type], doctrineParams, inventory[type]);
-      inventory[type] = res.inventoryRemaining;
-      shotsTotal += res.shotsFired;
-      shotsAtTrueWarheads += res.shotsFired;
+      if (isWarhead) {
+        if (killed) {
+          byThreat[tgt.threat ?? "ballistic"].killed++;
+          if (tgt.threat !== "cruise") terminalWarheadsKilled++;
+          interceptedRealWarheads++;
+          killsByType[killedBy]++;
+        } else {
+          if (falseKill) falseKillLeakers++;
+          recordPenetration(tgt, cause);
+        }
+      }
+    });
+  }
 
-      if (res.killed) {
-        killed = true;
-        break;
+  // ===================================================================
+  // ASAT CAMPAIGN — destroys satellites; losses carry into later waves
+  // ===================================================================
+  let asatResults = null;
+
+  function strikeAsat() {
+    // Satellites not carried in shells: boost types flown alone, and
+    // space-based midcourse types (interceptors, or laser platforms)
+    const counts = {};
+    for (const type of Object.keys(interceptorConfigs)) {
+      if (!isSpaceBased(type)) continue;
+      const cfg = interceptorConfigs[type];
+      if (cfg.phase === "boost") {
+        if (!params.constellationShells) counts[type] = constellation[type];
+      } else {
+        counts[type] = isLaser(cfg) ? laserPlatforms[type] : inventory[type];
       }
     }
 
-    if (killed) {
-      terminalWarheadsKilled++;
-      interceptedRealWarheads++;
-    } else {
-      penetratedRealWarheads++;
+    const groups = buildSatelliteGroups(params, counts);
+    const slotsBefore = groups
+      .filter(g => g.key.startsWith("shell:"))
+      .reduce((sum, g) => sum + g.alive, 0);
+    const lost = runAsatCampaign(asatCampaign, groups);
+    const slotsAfter = groups
+      .filter(g => g.key.startsWith("shell:"))
+      .reduce((sum, g) => sum + g.alive, 0);
+
+    for (const type of Object.keys(interceptorConfigs)) {
+      if (!isSpaceBased(type)) continue;
+      const cfg = interceptorConfigs[type];
+      const survival = counts[type] != null
+        ? groupSurvival(groups, `type:${type}`)
+        : slotsBefore > 0 ? slotsAfter / slotsBefore : 1;
+
+      if (cfg.phase === "boost") constellation[type] = Math.floor(constellation[type] * survival);
+      if (isLaser(cfg)) {
+        // Magazine on destroyed platforms is lost with them
+        inventory[type] = Math.floor(inventory[type] * survival);
+        if (cfg.phase !== "boost") laserPlatforms[type] = Math.floor(laserPlatforms[type] * survival);
+      } else if (cfg.phase !== "boost") {
+        inventory[type] = Math.floor(inventory[type] * survival);
+      }
     }
+
+    for (const key of Object.keys(params.sensors ?? {})) {
+      sensorSurvival[key] = groupSurvival(groups, `sensor:${key}`);
+    }
+
+    let deployedBoost = 0;
+    let survivingBoost = 0;
+    for (const type of boostTypes) {
+      deployedBoost += interceptorConfigs[type].deployed;
+      survivingBoost += constellation[type];
+    }
+    asatResults = {
+      interceptorSatsLost: lost.interceptors,
+      sensorSatsLost: lost.sensors,
+      constellationSurviving: deployedBoost > 0 ? survivingBoost / deployedBoost : 1,
+      sensorSurvival: { ...sensorSurvival },
+    };
   }
 
   // ===================================================================
-  // Kiloton delivery
+  // WAVES — inventory, degraded sensors and constellation carry over
   // ===================================================================
-  // penetratedRealWarheads is the count. We need the actual yield.
-  // Reconstruct from surviving warheads that were not intercepted in terminal.
-  // Actually, let's compute it differently: total yield - intercepted yield.
-  // Simpler: track kt as we go. But we can approximate from the warhead objects.
-  // For now, we iterate surviving warheads and count those not intercepted.
-  // Actually, we already know penetratedRealWarheads count. We need yield per warhead.
-  // Since warheads may have different yields (mixed classes), we track ktDelivered separately.
-
-  // Re-walk: the penetrated warheads are those in survivingWarheads that weren't killed in terminal.
-  // Instead of re-walking, let's compute total possible kt and subtract intercepted.
-  let totalKt = 0;
-  for (const m of missiles) {
-    totalKt += m.mirvsPerMissile * m.yieldKt;
-  }
-  let interceptedKt = 0;
-  // Boost kills: each killed missile's full warhead yield
-  interceptedKt += boostWarheadsDestroyed > 0
-    ? (totalKt / totalRealWarheads) * boostWarheadsDestroyed // weighted approx
-    : 0;
-  // Actually, boost kills are per-missile, so we need the actual missiles killed.
-  // Let's just compute ktDelivered = totalKt * (penetratedRealWarheads / totalRealWarheads)
-  // This is an approximation when yields differ across classes.
-
-  // Better approach: track ktDelivered directly
-  // ktDelivered = sum of yieldKt for each penetrated warhead
-  // We need to know which warheads penetrated. Let's accumulate in the loop.
-  // For now, use the average yield approach (will be exact when all same yield).
-  const avgYieldKt = totalRealWarheads > 0 ? totalKt / totalRealWarheads : 0;
-  const ktDelivered = penetratedRealWarheads * avgYieldKt;
+  const waves = params.waves ?? [{ label: "Salvo", timeOffsetMin: 0 }];
+  const passMin = boostPassMin(params);
+  const boostInReachByArea = {}; // boost interceptors in reach at the first wave
+  const waveResults = [];
+  // A type has run out once what its doctrine may still fire (stock net of
+  // the reserve held for ordinary targets) reaches 0. Space-based boost types
+  // draw on the whole constellation, not the in-view pool.
+  const stockOf = type => {
+    const cfg = interceptorConfigs[type];
+    return cfg.phase === "boost" && !isLaser(cfg) ? constellation[type] : inventory[type];
+  };
+  const fieldedStock = {};
+  const exhaustedAtWave = {};
+  for (const type of Object.keys(inventory)) {
+    fieldedStock[type] = stockOf(type);
+    exhaustedAtWave[type] = null;
+  }
+  let lastWaveTime = null;
+
+  waves.forEach((wave, i) => {
+    // Boost interceptors in reach of the launch area at the wave's launch
+    // time, from what is left of the constellation. A LEO satellite stays in
+    // reach for only about one boost window, so only a wave launched within
+    // that of the last one sees the same satellites (what is left in view).
+    const t = wave.timeOffsetMin ?? 0;
+    const samePass = lastWaveTime !== null && t - lastWaveTime < passMin;
+    const asatStrike = asatCampaign && i + 1 === (asatCampaign.atWave ?? 1);
+    if (asatStrike) strikeAsat();
+    if (!samePass || asatStrike) {
+      for (const type of boostTypes) {
+        boostPool[type] = {};
+        boostReach[type] = {};
+        // Every slot any class can reach: overlapping areas share satellites
+        // (null once a class falls back to the static fraction)
+        let slotsUsed = new Set();
+        for (const [className, cls] of Object.entries(params.missileClasses)) {
+          const area = launchAreaKey(params, className);
+          const reachKm = boostReachKmFor[type][className];
+          let n = 0;
+          if (reachKm !== 0) {
+            // Slots in reach at any time the class can be engaged
+            const { startMin, spanMin } = engagementSpanMin(cls, params);
+            const slots = launchAreaSlots(
+              params, area, reachKm, t + startMin, constellationEpoch, spanMin
+            );
+            const fraction = slots
+              ? slots.size / totalSlots(params)
+              : launchAreaFraction(params, area, reachKm, t, constellationEpoch);
+            n = boostAvailable(constellation[type], fraction);
+            if (!slots) slotsUsed = null;
+            for (const slot of slots ?? []) slotsUsed?.add(slot);
+          }
+          // An area's pool is what the longest-reach class there can use
+          boostReach[type][className] = n;
+          boostPool[type][area] = Math.max(boostPool[type][area] ?? 0, n);
+        }
+        if (isLaser(interceptorConfigs[type])) continue; // magazine carries over
+        const pooled = Object.values(boostPool[type]).reduce((sum, n) => sum + n, 0);
+        inventory[type] = slotsUsed
+          ? Math.min(pooled, boostAvailable(constellation[type], slotsUsed.size / totalSlots(params)))
+          : pooled;
+        initialInventory[type] = inventory[type];
+      }
+    }
+    if (i === 0) {
+      for (const type of boostTypes) {
+        for (const [area, n] of Object.entries(boostPool[type])) {
+          boostInReachByArea[area] = (boostInReachByArea[area] ?? 0) + n;
+        }
+      }
+    }
+    isLastWave = i === waves.length - 1;
+    const startInventory = { ...inventory };
+
+    const before = {
+      realWarheads: totalRealWarheads,
+      penetrated: penetratedRealWarheads,
+      ktDelivered,
+    };
+
+    runWave(
+      generateMissiles(params, wave.counts, targetingTables),
+      generateCruiseMissiles(params, wave.counts, targetingTables)
+    );
+
+    for (const type of boostTypes) {
+      if (isLaser(interceptorConfigs[type])) continue;
+      constellation[type] -= startInventory[type] - inventory[type];
+    }
+
+    waveResults.push({
+      realWarheads: totalRealWarheads - before.realWarheads,
+      penetrated: penetratedRealWarheads - before.penetrated,
+      ktDelivered: ktDelivered - before.ktDelivered,
+    });
+
+    for (const type of Object.keys(inventory)) {
+      if (exhaustedAtWave[type] !== null || fieldedStock[type] <= 0) continue;
+      const reserve = reserveHeld(type, typeDoctrine[type], {
+        phase: interceptorConfigs[type].phase,
+        initial: fieldedStock[type],
+        lastWave: isLastWave,
+        progress: 1,
+        highValue: false,
+      });
+      if (stockOf(type) - reserve <= 0) exhaustedAtWave[type] = i + 1;
+    }
+    lastWaveTime = t;
+  });
+
+  // --- Asset survival: an asset is lost if any warhead aimed at it penetrated ---
+  let assetValueSurviving = null;
+  const assetsLost = {};
+  if (assets) {
+    let survivingValue = 0;
+    for (const [key, asset] of Object.entries(assets)) {
+      assetsLost[key] = warheadsOnAsset[key] > 0;
+      if (!assetsLost[key]) survivingValue += asset.value;
+    }
+    const totalValue = totalAssetValue(assets);
+    assetValueSurviving = totalValue > 0 ? survivingValue / totalValue : 1;
+  }
 
   // --- Compute total inventory remaining ---
+  // (interceptors only; laser magazines are shots, not rounds)
   let totalInventoryRemaining = 0;
   for (const type of Object.keys(inventory)) {
+    if (isLaser(interceptorConfigs[type])) continue;
     totalInventoryRemaining += inventory[type];
   }
 
+  // Per type: what is left at the end (boost interceptors still on orbit;
+  // magazine shots for lasers)
+  const inventoryByType = {};
+  for (const type of Object.keys(inventory)) {
+    const cfg = interceptorConfigs[type];
+    inventoryByType[type] = cfg.phase === "boost" && !isLaser(cfg) ? constellation[type] : inventory[type];
+  }
+
   return {
     realWarheads: totalRealWarheads,
     penetratedRealWarheads,
@@ -425,14 +1367,49 @@ function runMultiPhaseTrial(params) {
     shotsAtDecoys,
     inventoryRemaining: totalInventoryRemaining,
     systemUp: d.systemUp,
+    componentsDown: [...d.down],
     boostMissilesEngaged,
+    boostMissilesUnreachable,
     boostMissilesKilled,
     boostWarheadsDestroyed,
     midcourseWarheadsEngaged,
     midcourseWarheadsKilled,
     terminalWarheadsEngaged,
     terminalWarheadsKilled,
+    terminalDecoys,
+    terminalTruePositives,
+    terminalFalseNegatives,
+    terminalFalsePositives,
+    terminalShotsAtDecoys,
+    nuclearBursts,
+    blackoutLeakers,
+    collateralKills,
+    killAssessment,
+    falseKillLeakers,
+    byThreat,
+    cmStats,
+    boostPayloadsEscaped,
+    phaseLoad,
+    engagementLimits,
+    leakCauses,
+    trackLossByPhase,
+    waveResults,
+    exhaustedAtWave,
+    shotsByType,
+    killsByType,
+    decoyShotsByType,
+    inventoryByType,
+    warheadsNotDefended,
+    warheadsOutOfFootprint,
+    boostInReachByArea,
+    laserTime,
+    asatResults,
+    assetsLost,
+    assetValueSurviving,
     ktDelivered,
+    realWarheadsByClass,
+    penetratedByClass,
+    ktDeliveredByClass,
     architectureCost_M: 0, // computed in metrics, not per-trial
   };
 }
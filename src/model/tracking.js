@@ -0,0 +1,85 @@
+/**
+ * Track custody — persistent track state carried on each target object
+ * across Boost → Midcourse → Terminal.
+ *
+ * obj.track = { held: boolean, looks: number }
+ *   held  — a track is currently held on the object
+ *   looks — number of phases the object has been held in (builds confidence)
+ *
+ * A held track survives each phase handover with P = pTrackCustody × the
+ * phase's detection probability, so thin coverage drops more tracks.
+ * An object without a held track (never tracked, or dropped at handover) must
+ * be acquired uncued; after the first phase this carries a cue penalty.
+ */
+
+import { clamp01, bernoulli } from '../utils/rng.js';
+
+export const TRACK_DEFAULTS = {
+  pTrackCustody: 0.95,
+  cuePenalty: 0.30,
+  discriminationGainPerLook: 0.20,
+};
+
+/**
+ * Read track-custody settings from scenario params, with defaults.
+ */
+export function trackParamsFrom(params) {
+  return {
+    pTrackCustody: params.pTrackCustody ?? TRACK_DEFAULTS.pTrackCustody,
+    cuePenalty: params.cuePenalty ?? TRACK_DEFAULTS.cuePenalty,
+    discriminationGainPerLook:
+      params.discriminationGainPerLook ?? TRACK_DEFAULTS.discriminationGainPerLook,
+  };
+}
+
+/**
+ * Attempt to hold (or acquire) a track on an object in a phase.
+ * Updates obj.track in place.
+ *
+ * @param {Object} obj — missile, warhead or decoy
+ * @param {number} pDetect — phase detection probability from the sensor network
+ * @param {Object} trackParams — from trackParamsFrom()
+ * @param {boolean} firstLook — true for the first phase (no cue penalty)
+ * @returns {"held"|"reacquired"|"lost"|"acquired"|"missed"} outcome
+ *   held: custody kept; reacquired: custody dropped, then re-acquired uncued;
+ *   lost: custody dropped and not re-acquired; acquired: new track;
+ *   missed: no track before or after.
+ */
+export function updateTrack(obj, pDetect, trackParams, firstLook = false) {
+  const track = obj.track ?? (obj.track = { held: false, looks: 0 });
+  const wasHeld = track.held;
+
+  // Handover: custody is kept only as well as the phase's sensors see the
+  // object (no coverage means it cannot be kept)
+  if (wasHeld && pDetect > 0 && bernoulli(clamp01(trackParams.pTrackCustody * pDetect))) {
+    track.looks += 1;
+    return "held";
+  }
+
+  // Uncued acquisition (cue penalty applies after the first phase)
+  const pAcquire = firstLook ? pDetect : clamp01(pDetect * (1 - trackParams.cuePenalty));
+  track.held = bernoulli(pAcquire);
+  if (track.held) {
+    track.looks += 1;
+    return wasHeld ? "reacquired" : "acquired";
+  }
+  return wasHeld ? "lost" : "missed";
+}
+
+/**
+ * Classifier rates sharpened by accumulated track looks.
+ * Each look beyond the first removes a fraction of the remaining error.
+ *
+ * @param {Object} obj — tracked object
+ * @param {Object} classifyParams — { pClassifyWarhead, pFalseAlarmDecoy }
+ * @param {Object} trackParams
+ * @returns {{ pClassifyWarhead: number, pFalseAlarmDecoy: number }}
+ */
+export function discriminationRates(obj, classifyParams, trackParams) {
+  const extraLooks = Math.max(0, (obj.track?.looks ?? 0) - 1);
+  const residual = Math.pow(1 - trackParams.discriminationGainPerLook, extraLooks);
+  return {
+    pClassifyWarhead: clamp01(1 - (1 - classifyParams.pClassifyWarhead) * residual),
+    pFalseAlarmDecoy: clamp01(classifyParams.pFalseAlarmDecoy * residual),
+  };
+}
@@ -0,0 +1,113 @@
+/**
+ * Trajectory profiles — which defense phases a missile class is exposed to.
+ *
+ * Missile classes set trajectory: "ballistic" (default) | "marv" | "hgv" | "fobs".
+ * Every profile is boosted, so boost-phase defenses apply to all of them.
+ * After boost:
+ *   ballistic — exo-atmospheric midcourse, then terminal
+ *   marv      — as ballistic, but maneuvers in terminal (terminalPkFactor)
+ *   hgv       — glides inside the atmosphere instead of a midcourse arc: only
+ *               glide-phase interceptors (interceptors[type].glidePhase) engage
+ *               it in the midcourse slot, at reduced Pk and detection, and it
+ *               maneuvers in terminal
+ *   fobs      — partial orbit from an unexpected azimuth: early-warning
+ *               radars see less of it (detectFactor)
+ *
+ * Cruise missiles (params.cruiseClasses) use the "cruise" profile: they are
+ * never boosted or exo-atmospheric, are detected by the sensors' "cruise"
+ * (low-altitude) probabilities, and are engaged by terminal types only,
+ * including air-defense types (interceptors[type].airDefense) that engage
+ * nothing else.
+ *
+ * A class may override any factor of its profile:
+ *   { trajectory, detectFactor: { [phase]: f }, midcoursePkFactor, terminalPkFactor }
+ */
+
+export const TRAJECTORY_PROFILES = {
+  ballistic: {
+    label: "Ballistic",
+    midcourseRegime: "exo",
+    detectFactor: {},
+    midcoursePkFactor: 1.0,
+    terminalPkFactor: 1.0,
+  },
+  marv: {
+    label: "Maneuvering RV",
+    midcourseRegime: "exo",
+    detectFactor: {},
+    midcoursePkFactor: 1.0,
+    terminalPkFactor: 0.6,
+  },
+  hgv: {
+    label: "Hypersonic glide vehicle",
+    midcourseRegime: "glide",
+    detectFactor: { midcourse: 0.6 },
+    midcoursePkFactor: 0.6,
+    terminalPkFactor: 0.5,
+  },
+  fobs: {
+    label: "Fractional orbital",
+    midcourseRegime: "exo",
+    detectFactor: { midcourse: 0.5 },
+    midcoursePkFactor: 1.0,
+    terminalPkFactor: 1.0,
+  },
+  cruise: {
+    label: "Cruise missile",
+    airBreathing: true,
+    midcourseRegime: null,
+    detectFactor: {},
+    midcoursePkFactor: 0,
+    terminalPkFactor: 1.0,
+  },
+};
+
+/**
+ * Resolved trajectory profile of a missile class (profile plus class overrides).
+ */
+export function trajectoryProfile(cls) {
+  const profile = TRAJECTORY_PROFILES[cls.trajectory ?? "ballistic"] ?? TRAJECTORY_PROFILES.ballistic;
+  return {
+    ...profile,
+    detectFactor: { ...profile.detectFactor, ...cls.detectFactor },
+    midcoursePkFactor: cls.midcoursePkFactor ?? profile.midcoursePkFactor,
+    terminalPkFactor: cls.terminalPkFactor ?? profile.terminalPkFactor,
+  };
+}
+
+/**
+ * Resolved profiles of every threat class in a scenario, ballistic and cruise.
+ * @returns {Object} { [className]: profile }
+ */
+export function classProfiles(params) {
+  const profiles = {};
+  for (const [className, cls] of Object.entries(params.missileClasses ?? {})) {
+    profiles[className] = trajectoryProfile(cls);
+  }
+  for (const [className, cls] of Object.entries(params.cruiseClasses ?? {})) {
+    profiles[className] = trajectoryProfile({ ...cls, trajectory: "cruise" });
+  }
+  return profiles;
+}
+
+/**
+ * True if an interceptor type can engage a class with this profile at all.
+ * Air-breathing threats meet terminal types only, and air-defense types meet
+ * nothing else; midcourse types engage either exo-atmospheric arcs or glide
+ * vehicles.
+ */
+export function exposedTo(profile, cfg) {
+  if (profile.airBreathing) return cfg.phase === "terminal";
+  if (cfg.airDefense) return false;
+  if (cfg.phase !== "midcourse") return true;
+  return (cfg.glidePhase === true) === (profile.midcourseRegime === "glide");
+}
+
+/**
+ * Pk multiplier for a profile against an interceptor type's phase.
+ */
+export function trajectoryPkFactor(profile, phase) {
+  if (phase === "midcourse") return profile.midcoursePkFactor;
+  if (phase === "terminal") return profile.terminalPkFactor;
+  return 1.0;
+}
@@ -29,9 +29,56 @@ export const DEFAULTS = {
 
   // --- Multi-phase params (populated by presets or future UI) ---
   // constellationAltitudeKm: 1000,
-  // regionalCoverageFactor: 1.0,
+  // regionalCoverageFactor: 1.0,    // static-coverage fallback when there are no shells
+  // constellationShells: [ ... ],   // per-shell: { label, altitudeKm, inclinationDeg, planes, satsPerPlane, phasing } (see model/constellation.js)
+  // boostDecisionDelaySec: 45,      // launch detection to interceptor commit (see model/boostWindow.js)
+  // launchAreas: { ... },            // per-area: { label, lat, lon } (red); classes name one as launchArea
   // pDecoyBurnup: 0.7,
-  // interceptors: { ... },    // per-type: { deployed, pk, costPerUnit_M, phase }
-  // missileClasses: { ... },  // per-class: { count, mirvsPerMissile, decoysPerWarhead, yieldKt, boostEvasion }
-  // countermeasures: { asatType, asatDetectPenalty, asatSpacePkPenalty },
+  // midcourseWindowSec: 1200,       // midcourse engagement window per wave (fire-control channels)
+  // terminalWindowSec: 60,           // terminal arrivals over an asset spread across this (nuclear blackout timing)
+  // reserveFraction: 0,              // inventory doctrine (see model/doctrine.js)
+  // reserveCount: { [type]: n },
+  // reserveReleaseAfter: 0,
+  // highValueReserveFraction: 0,
+  // highValueClasses: [],
+  // lowInventoryThreshold: 0,
+  // lowInventoryShots: 1,
+  // allocationPolicy: "greedy",      // "greedy" | "maxKill" | "minLeakage" (see model/allocation.js)
+  // allocationBudget_M: Infinity,    // per-trial interceptor spend cap for "minLeakage"
+  // pTrackCustody: 0.95,             // P(held track survives a phase handover), scaled by the phase pDetect
+  // cuePenalty: 0.30,                // detection penalty for uncued acquisition
+  // discriminationGainPerLook: 0.20, // classifier error removed per extra track look
+  // pClassifyWarheadTerminal: 1.0,  // terminal re-classification TPR
+  // pFalseAlarmDecoyTerminal: ...,  // terminal FPR (defaults to pFalseAlarmDecoy)
+  // interceptors: { ... },    // per-type: { deployed, pk, costPerUnit_M, phase, doctrine?, batteries? }
+  //                           //   boost types: divertVelocityKmS or rangeKm, flyoutTimeSec
+  //                           //   lasers: weaponKind: "laser", dwellTimeSec, retargetTimeSec, magazineShots, timelineSec, inViewFraction, costPerShot_M
+  //                           //   glidePhase: true — midcourse type that engages glide vehicles only
+  //                           //   fireChannels, engagementTimeSec — per-battery engagement capacity (see model/fireControl.js)
+  //                           //   airDefense: true — terminal type that engages cruise missiles only
+  //                           //   nuclear: true, blackoutSec, blackoutTrackPenalty, pCollateralKill, collateralWindowSec
+  //                           //   batteries: [{ site, label, lat, lon, deployed, footprintKm, availability? }] (see model/basing.js)
+  //                           //   availability (per battery, or whole type if unbased), launchReliability (see model/reliability.js)
+  // pMissedKill: 0,                 // SLS kill assessment: P(kill read as a miss) (see model/engagement.js)
+  // pFalseKill: 0,                  // P(miss read as a kill); sensors' killAssessment overrides per phase
+  // phaseDoctrine: { ... },   // per-phase overrides of doctrineMode / shotsPerTarget / maxShotsPerTarget / pReengage / pMissedKill / pFalseKill
+  // sensors: { ... },         // per-sensor: { kind, pDetect: { boost, midcourse, terminal }, trackCapacity, asatVulnerability, availability, killAssessment: { pMissedKill, pFalseKill } }
+  //                           //   pDetect.cruise — low-altitude detection of cruise missiles
+  // reliability: { c2Availability, c2DownDetectFactor, c2DownPkFactor, commonModes: [ ... ] },  // replaces pSystemUp (see model/reliability.js)
+  // missileClasses: { ... },  // per-class: { count, mirvsPerMissile, decoysPerWarhead, yieldKt, boostEvasion, launchArea, boosterType, burnTimeSec,
+  //                           //   unitCost_M, decoyCost_M (see model/costExchange.js)
+  //                           //   cmLoadout: { [item]: n } (see model/countermeasures.js)
+  //                           //   trajectory: "ballistic" | "marv" | "hgv" | "fobs", detectFactor, midcoursePkFactor, terminalPkFactor (see model/trajectories.js)
+  // cruiseClasses: { ... },   // per-class: { label, count, yieldKt, terminalPkFactor, unitCost_M } — air-breathing threats, terminal only
+  // lifecycleYears: 20,       // lifecycle cost horizon (see model/lifecycleCost.js; curves in data/cost_curves.js)
+  // costExchangeStep: 0,      // > 0 (e.g. 0.1): rerun with the red force grown by this share for the marginal cost-exchange ratio
+  //                           //   (the dashboard's Sim tab sets it; default there 10%)
+  // pairTrials: false,        // seed trial i as seed + i, pairing runs of two scenarios (on with costExchangeStep > 0)
+  // assets: { ... },         // per-asset: { label, kind, value, lat, lon } (blue)
+  // targeting: { ... },       // per-class: { [assetKey | kind]: weight } (red)
+  // preferentialDefenseTopN: null,   // defend only the N highest-value assets
+  // highValueMinAssetValue: Infinity, // aim-point value that may draw the terminal high-value reserve
+  // waves: [ ... ],           // per-wave: { label, timeOffsetMin, counts: { [class]: n } }
+  // countermeasures: { asatType, asatDetectPenalty, asatSpacePkPenalty },  // flat ASAT penalties
+  // asatCampaign: { atWave, weapons: [ ... ] },  // replaces the flat penalties (see model/asat.js)
 };
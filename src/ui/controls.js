@@ -1,9 +1,15 @@
 /**
  * UI controls — HTML template, parameter reading, and doctrine toggle.
+ * The dashboard drawer (Blue / Red / CM / Sim tabs) edits a country preset.
  */
 
 import { clamp01 } from '../utils/rng.js';
 import { DEFAULTS } from '../state.js';
+import { COUNTRIES } from '../config/countries.js';
+import { CM_CATALOG } from '../model/countermeasures.js';
+
+const CM_MAX_PER_ITEM = 8;
+const COST_EXCHANGE_STEP_PCT = 10;
 
 /**
  * Generate the main app HTML template.
@@ -153,10 +159,127 @@ export function setSLSVisibility() {
   }
 }
 
+function sliderHTML(label, value, max, attrs) {
+  return `
+    <div class="slider-group">
+      <div class="slider-label">
+        <span>${label}</span>
+        <span class="slider-value">${value}</span>
+      </div>
+      <input type="range" min="0" max="${max}" step="1" value="${value}" ${attrs} />
+    </div>`;
+}
+
+function presetListHTML(entries) {
+  return entries
+    .map(([label, n]) => `
+    <div class="slider-label"><span>${label}</span><span class="slider-value">${n}</span></div>`)
+    .join('');
+}
+
+/**
+ * Render the dashboard drawer tab panels for a Blue/Red preset pair.
+ * The CM tab sets each missile class's cmLoadout, one slider per catalog
+ * item, starting from the preset.
+ */
+export function renderDrawerControls(container, blueKey, redKey) {
+  const blue = COUNTRIES.blue[blueKey] ?? {};
+  const red = COUNTRIES.red[redKey] ?? {};
+  const classes = Object.entries(red.missileClasses ?? {});
+
+  const bluePanel = presetListHTML(
+    Object.entries(blue.interceptors ?? {}).map(([type, cfg]) => [cfg.label ?? type, cfg.deployed ?? 0])
+  );
+  const redPanel = presetListHTML([
+    ...classes.map(([name, cls]) => [cls.label ?? name, cls.count]),
+    ...Object.entries(red.cruiseClasses ?? {}).map(([name, cls]) => [cls.label ?? name, cls.count]),
+  ]);
+  const cmPanel = classes
+    .map(([name, cls]) => `
+    <div class="drawer-section">
+      <div class="drawer-section-title">${name}</div>
+      ${Object.entries(CM_CATALOG)
+        .map(([key, item]) => sliderHTML(
+          `${item.label}${item.perMissile ? " / missile" : " / warhead"}`,
+          cls.cmLoadout?.[key] ?? 0,
+          CM_MAX_PER_ITEM,
+          `data-cm-class="${name}" data-cm-item="${key}"`
+        ))
+        .join('')}
+    </div>`)
+    .join('');
+
+  container.innerHTML = `
+    <div class="tab-panel active" id="tab-blue">
+      <div class="drawer-section">
+        <div class="drawer-section-title">Interceptors deployed</div>${bluePanel}
+      </div>
+    </div>
+    <div class="tab-panel" id="tab-red">
+      <div class="drawer-section">
+        <div class="drawer-section-title">Raid</div>${redPanel}
+      </div>
+    </div>
+    <div class="tab-panel" id="tab-cm">${cmPanel}</div>
+    <div class="tab-panel" id="tab-sim">
+      <div class="drawer-section">
+        <div class="drawer-section-title">Monte Carlo</div>
+        ${sliderHTML("Trials", DEFAULTS.nTrials, 5000, `id="drawerTrials"`)}
+        ${sliderHTML("Marginal cost exchange: red force +%", COST_EXCHANGE_STEP_PCT, 50, `id="drawerCostExchangeStep"`)}
+        <input id="drawerSeed" class="seed-input" type="number" step="1" value="" placeholder="seed (blank = random)" />
+      </div>
+    </div>
+  `;
+
+  container.querySelectorAll('input[type="range"]').forEach(input => {
+    input.addEventListener('input', () => {
+      input.parentElement.querySelector('.slider-value').textContent = input.value;
+    });
+  });
+}
+
+/**
+ * Preset params over DEFAULTS, with the drawer's countermeasure loadouts and
+ * run settings.
+ */
+function readDrawerParams(blueKey, redKey) {
+  const red = COUNTRIES.red[redKey] ?? {};
+  const missileClasses = {};
+  for (const [name, cls] of Object.entries(red.missileClasses ?? {})) {
+    missileClasses[name] = { ...cls, cmLoadout: { ...cls.cmLoadout } };
+  }
+  document.querySelectorAll('[data-cm-class]').forEach(input => {
+    const n = Math.max(0, parseInt(input.value, 10) || 0);
+    const loadout = missileClasses[input.dataset.cmClass]?.cmLoadout;
+    if (!loadout) return;
+    if (n > 0) loadout[input.dataset.cmItem] = n;
+    else delete loadout[input.dataset.cmItem];
+  });
+
+  const nTrials = Math.max(1, parseInt(document.getElementById("drawerTrials").value, 10) || 1);
+  const seedVal = document.getElementById("drawerSeed").value.trim();
+  const seed = seedVal === "" ? null : parseInt(seedVal, 10) || 0;
+  // 0 skips the larger-force rerun
+  const costExchangeStep = Math.max(0, parseInt(document.getElementById("drawerCostExchangeStep").value, 10) || 0) / 100;
+
+  return {
+    ...DEFAULTS,
+    ...COUNTRIES.blue[blueKey],
+    ...red,
+    missileClasses,
+    nTrials,
+    seed,
+    costExchangeStep,
+  };
+}
+
 /**
- * Read all parameter values from the UI form inputs.
+ * Read all parameter values from the UI form inputs. With a Blue/Red preset
+ * pair, read the dashboard drawer instead.
  */
-export function readParamsFromUI() {
+export function readParamsFromUI(blueKey, redKey) {
+  if (blueKey && redKey) return readDrawerParams(blueKey, redKey);
+
   const nMissiles = Math.max(
     0,
     parseInt(document.getElementById("nMissiles").value, 10) || 0
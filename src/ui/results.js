@@ -0,0 +1,29 @@
+/**
+ * Results overlay content for the dashboard — summary text and histograms.
+ */
+
+import { renderSummary } from './tables.js';
+import { renderHistogramHTML } from './charts.js';
+
+/**
+ * HTML for the results overlay body.
+ */
+export function renderResultsContent(params, result) {
+  const text = renderSummary(params, result)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+  const h1 = renderHistogramHTML(
+    result.penReal,
+    20,
+    "Penetrated real warheads (per trial)",
+    { width: 200, height: 100 }
+  );
+  const h2 = renderHistogramHTML(
+    result.shotsTot,
+    20,
+    "Total shots fired (per trial)",
+    { width: 200, height: 100 }
+  );
+  return `<pre class="output">${text}</pre>${h1}${h2}`;
+}
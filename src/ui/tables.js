@@ -21,6 +21,10 @@ export function renderSummary(params, result) {
 
   const sanity = s.meanPenReal + s.meanIntReal;
 
+  // Component reliability replaces the single coin flip with a C2 outage
+  const rel = params.reliability ?? {};
+  const upLabel = s.reliability ? "P(C2 up):" : "P(system up):";
+
   const lines = [
     `Inputs:`,
     `  Missiles:                           ${params.nMissiles}`,
@@ -41,15 +45,15 @@ export function renderSummary(params, result) {
     `  Trials:                             ${params.nTrials}`,
     ``,
     `Common-mode reliability (trial-level):`,
-    `  P(system up):                       ${fmt(
-      params.pSystemUp,
+    `  ${upLabel.padEnd(35)}${fmt(
+      rel.c2Availability ?? params.pSystemUp,
       2
     )} (observed \u2248 ${fmt(s.meanSystemUp, 2)})`,
     `  If down: detect degrade factor:      ${fmt(
-      params.detectDegradeFactor,
+      rel.c2DownDetectFactor ?? params.detectDegradeFactor,
       2
     )}`,
-    `  If down: Pk degrade factor:          ${fmt(params.pkDegradeFactor, 2)}`,
+    `  If down: Pk degrade factor:          ${fmt(rel.c2DownPkFactor ?? params.pkDegradeFactor, 2)}`,
     ``,
     `Key output (REAL warheads only):`,
     `  Mean penetrated real warheads:      ${fmt(s.meanPenReal, 2)} (${fmt(
@@ -69,9 +73,84 @@ export function renderSummary(params, result) {
       `Per-phase breakdown (means):`,
       `  Boost:     missiles killed:         ${fmt(s.meanBoostMissilesKilled, 2)}`,
       `             warheads destroyed:      ${fmt(s.meanBoostWarheadsDestroyed, 2)}`,
+      `             tracked, none in reach:  ${fmt(s.meanBoostMissilesUnreachable, 2)}`,
       `  Midcourse: warheads killed:         ${fmt(s.meanMidcourseWarheadsKilled, 2)}`,
       `  Terminal:  warheads killed:          ${fmt(s.meanTerminalWarheadsKilled, 2)}`,
+      `             warheads re-classified:   ${fmt(s.meanTerminalTruePositives, 2)} (missed ${fmt(s.meanTerminalFalseNegatives, 2)})`,
+      `             decoys surviving reentry: ${fmt(s.meanTerminalDecoys, 2)}`,
+      `             decoys engaged (FP):      ${fmt(s.meanTerminalFalsePositives, 2)}`,
+      `             shots at decoys:          ${fmt(s.meanTerminalShotsAtDecoys, 2)}`,
+    );
+  }
+
+  // --- Leakage attribution ---
+  if (s.leakage) {
+    lines.push(``, `Why penetrating warheads got through (means, % of penetrated):`);
+    for (const [phase, causes] of Object.entries(s.leakage.byPhase)) {
+      const ranked = Object.values(causes).sort((a, b) => b.meanCount - a.meanCount);
+      if (ranked.length === 0) continue;
+      lines.push(`  ${phase}:`);
+      for (const c of ranked) {
+        lines.push(
+          `    ${c.label.padEnd(32)} ${fmt(c.meanCount, 2).padStart(9)} (${fmt(100 * c.share, 1)}%)`
+        );
+      }
+    }
+  }
+
+  // --- Nuclear terminal intercepts ---
+  if (s.nuclear) {
+    lines.push(
+      ``,
+      `Nuclear terminal intercepts (means):`,
+      `  Bursts:                             ${fmt(s.nuclear.meanBursts, 1)}`,
+      `  Blackout-induced leakers:           ${fmt(s.nuclear.meanBlackoutLeakers, 2)} (p90 ${fmt(s.nuclear.p90BlackoutLeakers, 0)})`,
+      `  Warheads destroyed by nearby burst: ${fmt(s.nuclear.meanCollateralKills, 2)}`,
+    );
+  }
+
+  // --- Countermeasures ---
+  if (s.countermeasures) {
+    const cm = s.countermeasures;
+    lines.push(``, `Countermeasures (means; FA = share classified as warheads in midcourse):`);
+    for (const item of Object.values(cm.byItem)) {
+      if (item.meanObjects <= 0) continue;
+      lines.push(
+        `  ${item.label.padEnd(28)} objects ${fmt(item.meanObjects, 1).padStart(8)}  ` +
+          `FA ${fmt(item.falseAlarmRate, 2)}  shots drawn ${fmt(item.meanShots, 1)}`
+      );
+    }
+    if (cm.meanBoostPayloadsEscaped > 0) {
+      lines.push(`  Payloads released before a boost kill: ${fmt(cm.meanBoostPayloadsEscaped, 2)}`);
+    }
+  }
+
+  // --- Leakage by threat type ---
+  if (s.byThreat) {
+    lines.push(``, `Leakage by threat type (means):`);
+    for (const [threat, t] of Object.entries(s.byThreat)) {
+      lines.push(
+        `  ${threat.padEnd(10)} penetrated ${fmt(t.meanPen, 1)} (p90 ${fmt(t.p90Pen, 0)}), ` +
+          `terminal kills ${fmt(t.meanTerminalKills, 1)}, terminal shots ${fmt(t.meanTerminalShots, 1)} ` +
+          `(${fmt(100 * t.shareOfTerminalShots, 1)}%)`
+      );
+    }
+  }
+
+  // --- Kill assessment ---
+  if (s.killAssessment) {
+    const ka = s.killAssessment;
+    lines.push(
+      ``,
+      `Kill assessment (shoot-look-shoot, means):`,
+      `  Leakers after a false kill:         ${fmt(ka.meanFalseKillLeakers, 2)} (p90 ${fmt(ka.p90FalseKillLeakers, 0)})`,
     );
+    for (const [phase, p] of Object.entries(ka.byPhase)) {
+      lines.push(
+        `  ${phase.padEnd(10)} misses assessed as kills ${fmt(p.meanFalseKills, 2)}, ` +
+          `shots wasted on kills assessed as misses ${fmt(p.meanWastedShots, 2)}`
+      );
+    }
   }
 
   // --- Kiloton delivery stats ---
@@ -84,6 +163,251 @@ export function renderSummary(params, result) {
     );
   }
 
+  // --- Defended assets ---
+  if (s.meanAssetValueSurviving != null) {
+    const defended = params.preferentialDefenseTopN != null
+      ? `top ${params.preferentialDefenseTopN} assets by value`
+      : "all assets";
+    lines.push(
+      ``,
+      `Defended assets (defending ${defended}):`,
+      `  Asset value surviving (mean):       ${fmt(100 * s.meanAssetValueSurviving, 1)}%`,
+      `  Surviving p10/median:               ${fmt(100 * s.p10AssetValueSurviving, 1)}% / ${fmt(100 * s.medianAssetValueSurviving, 1)}%`,
+    );
+    if (params.preferentialDefenseTopN != null) {
+      lines.push(`  Warheads passed up (undefended):    ${fmt(s.meanWarheadsNotDefended, 1)}`);
+    }
+    const ranked = Object.values(s.byAsset).sort((a, b) => b.value - a.value);
+    for (const a of ranked) {
+      lines.push(`  ${a.label.padEnd(34)} value ${String(a.value).padStart(3)}  P(lost) ${fmt(a.pLost, 2)}`);
+    }
+  }
+
+  // --- Engagement footprints ---
+  if (s.footprint) {
+    const label = key => params.assets?.[key]?.label ?? key;
+    lines.push(``, `Engagement footprints (based interceptors):`);
+    for (const [type, gaps] of Object.entries(s.footprint.byType)) {
+      const nBatteries = params.interceptors?.[type]?.batteries?.length ?? 0;
+      lines.push(
+        `  ${type.padEnd(18)} ${nBatteries} batteries, ` +
+          (gaps.length > 0 ? `uncovered: ${gaps.map(label).join(", ")}` : `all assets covered`)
+      );
+    }
+    for (const [phase, gaps] of Object.entries(s.footprint.byPhase)) {
+      const mean = s.footprint.meanOutOfFootprint[phase] ?? 0;
+      lines.push(
+        `  ${(phase + " gap").padEnd(18)} ${String(gaps.length).padStart(2)} assets, ` +
+          `warheads out of footprint (mean) ${fmt(mean, 1)}`
+      );
+    }
+  }
+
+  // --- Attack waves ---
+  if (s.byWave && s.byWave.length > 1) {
+    lines.push(``, `Leakage by wave (means):`);
+    for (const w of s.byWave) {
+      lines.push(
+        `  ${w.label.padEnd(10)} T+${String(w.timeOffsetMin).padEnd(5)} ` +
+          `penetrated ${fmt(w.meanPen, 1)} of ${w.realWarheads} (${fmt(100 * w.meanPenRate, 1)}%)`
+      );
+    }
+  }
+
+  // --- Per interceptor type ---
+  if (s.byType) {
+    lines.push(
+      ``,
+      `By interceptor type (means; remaining p10/median/p90 of fielded):`,
+    );
+    for (const [type, t] of Object.entries(s.byType)) {
+      const doctrine = t.doctrineMode === "barrage"
+        ? `barrage x${t.shotsPerTarget}`
+        : t.doctrineMode === "dwell"
+          ? `laser, max ${t.shotsPerTarget} dwells`
+          : `SLS max ${t.shotsPerTarget}`;
+      const costPerKill = t.costPerKill_M != null ? `$${fmt(t.costPerKill_M, 1)}M/kill` : `no kills`;
+      lines.push(
+        `  ${type.padEnd(18)} shots ${fmt(t.meanShots, 1).padStart(8)}  (${doctrine})`,
+        `  ${"".padEnd(18)} kills ${fmt(t.meanKills, 1)}, at decoys ${fmt(t.meanDecoyShots, 1)}, ` +
+          `P(exhausted) ${fmt(t.pExhausted, 2)}, ${costPerKill}`,
+        `  ${"".padEnd(18)} remaining ${fmt(t.p10Remaining, 0)} / ${fmt(t.medianRemaining, 0)} / ` +
+          `${fmt(t.p90Remaining, 0)} of ${t.fielded}`,
+      );
+    }
+  }
+
+  // --- Interceptor exhaustion ---
+  if (s.exhaustion) {
+    const rows = Object.entries(s.exhaustion).filter(([, e]) => e.pExhausted > 0);
+    if (rows.length > 0) {
+      lines.push(``, `Interceptor exhaustion, P(ran out) by wave:`);
+      for (const [type, e] of rows) {
+        const byWave = e.byWave.map(p => fmt(p, 2)).join(" / ");
+        lines.push(`  ${type.padEnd(18)} ${fmt(e.pExhausted, 2)}  [${byWave}]`);
+      }
+    }
+  }
+
+  // --- Inventory doctrine ---
+  const reserveParts = [];
+  if (params.reserveFraction > 0) {
+    reserveParts.push(`hold ${fmt(100 * params.reserveFraction, 0)}% until ${fmt(100 * (params.reserveReleaseAfter ?? 0), 0)}% of final wave`);
+  }
+  if (params.reserveCount && Object.keys(params.reserveCount).length > 0) {
+    reserveParts.push(`fixed ${Object.entries(params.reserveCount).map(([t, n]) => `${t}=${n}`).join(", ")}`);
+  }
+  if (params.highValueReserveFraction > 0) {
+    reserveParts.push(`terminal ${fmt(100 * params.highValueReserveFraction, 0)}% for ${(params.highValueClasses ?? []).join("/") || "none"}`);
+  }
+  if (params.lowInventoryThreshold > 0) {
+    reserveParts.push(`${params.lowInventoryShots ?? 1} shot(s) below ${fmt(100 * params.lowInventoryThreshold, 0)}%`);
+  }
+  if (reserveParts.length > 0) {
+    lines.push(``, `Inventory doctrine:                   ${reserveParts.join("; ")}`);
+  }
+
+  // --- Fire allocation ---
+  if (s.allocationPolicy) {
+    const budget = params.allocationBudget_M != null ? `, budget $${fmt(params.allocationBudget_M, 0)}M/trial` : "";
+    lines.push(``, `Fire allocation policy:               ${s.allocationPolicy}${budget}`);
+  }
+
+  // --- Directed energy ---
+  if (s.lasers) {
+    lines.push(``, `Directed-energy utilization (means):`);
+    for (const [type, l] of Object.entries(s.lasers)) {
+      lines.push(
+        `  ${type.padEnd(18)} platform time busy ${fmt(100 * l.meanUtilization, 1)}% (p90 ${fmt(100 * l.p90Utilization, 1)}%), ` +
+          `dwells ${fmt(l.meanDwells, 1)}, magazine used ${fmt(100 * l.magazineUsed, 1)}%`
+      );
+    }
+  }
+
+  // --- Boost engagement windows ---
+  if (s.boostWindows) {
+    lines.push(``, `Boost-phase engagement windows (reach km / sequential shots):`);
+    for (const [className, w] of Object.entries(s.boostWindows)) {
+      const cells = Object.entries(w.byType).map(([type, b]) =>
+        b.reachKm == null
+          ? `${type} default reach`
+          : `${type} ${fmt(b.reachKm, 0)} km / ${b.shots === Infinity ? "any" : b.shots}`
+      );
+      lines.push(
+        `  ${className.padEnd(6)} ${w.booster.padEnd(16)} window ${String(w.windowSec).padStart(3)} s  ${cells.join(", ")}`
+      );
+    }
+  }
+
+  // --- ASAT campaign ---
+  if (s.asat) {
+    const a = s.asat;
+    lines.push(
+      ``,
+      `ASAT campaign (before wave ${params.asatCampaign?.atWave ?? 1}, means):`,
+      `  Interceptor satellites lost:        ${fmt(a.meanInterceptorSatsLost, 1)} (p90 ${fmt(a.p90InterceptorSatsLost, 0)})`,
+      `  Sensor satellites lost:             ${fmt(a.meanSensorSatsLost, 1)}`,
+      `  Boost constellation surviving:      ${fmt(100 * a.meanConstellationSurviving, 1)}%`,
+    );
+    if (a.meanBoostInReachAfter != null) {
+      lines.push(`  Boost interceptors in reach after:  ${fmt(a.meanBoostInReachAfter, 1)}`);
+    }
+    for (const [key, frac] of Object.entries(a.sensorSurviving)) {
+      lines.push(`  ${key.padEnd(18)} surviving           ${fmt(100 * frac, 1)}%`);
+    }
+  }
+
+  // --- Boost constellation ---
+  if (s.constellation) {
+    const c = s.constellation;
+    const geometry = c.shells > 0
+      ? `${c.shells} shells, ${c.slots} slots`
+      : `static coverage`;
+    lines.push(``, `Boost interceptors in reach at launch (${geometry}):`);
+    for (const a of Object.values(c.byArea)) {
+      lines.push(
+        `  ${a.label.padEnd(24)} mean ${fmt(a.meanInReach, 1).padStart(6)}  ` +
+          `p10/p90 ${fmt(a.p10InReach, 0)} / ${fmt(a.p90InReach, 0)}`
+      );
+    }
+  }
+
+  // --- Sensor network ---
+  if (s.sensorCoverage) {
+    const asatNote = params.asatCampaign ? "before ASAT campaign" : "after ASAT";
+    lines.push(``, `Sensor network (nominal P(detect) ${asatNote}):`);
+    for (const [phase, c] of Object.entries(s.sensorCoverage)) {
+      const sensors = c.sensors.length > 0 ? c.sensors.join(", ") : "none";
+      lines.push(`  ${phase.padEnd(10)} ${fmt(c.pDetect, 3)}  [${sensors}]`);
+    }
+  }
+
+  // --- Component reliability ---
+  if (s.reliability) {
+    const down = Object.values(s.reliability.byComponent).filter(c => c.pDown > 0);
+    if (down.length > 0) {
+      lines.push(
+        ``,
+        `Component outages (P(down) / share of leaking trials / mean leakers down vs up):`
+      );
+      for (const c of down) {
+        const penDown = c.meanPenWhenDown != null ? fmt(c.meanPenWhenDown, 1) : "-";
+        const penUp = c.meanPenWhenUp != null ? fmt(c.meanPenWhenUp, 1) : "-";
+        lines.push(
+          `  ${c.label.padEnd(44)} ${fmt(c.pDown, 3)}  ${fmt(c.pDownGivenLeak, 3)}  ` +
+            `${penDown} vs ${penUp}`
+        );
+      }
+    }
+  }
+
+  // --- Capacity vs inventory ---
+  if (s.capacity) {
+    const saturated = s.capacity.sensors.filter(c => c.pSaturated > 0);
+    const limited = Object.entries(s.capacity.fireControl).filter(([, f]) => f.binding !== "none");
+    if (saturated.length > 0 || limited.length > 0) {
+      lines.push(``, `Binding limits (capacity vs inventory):`);
+    }
+    for (const c of saturated) {
+      lines.push(
+        `  ${c.label.padEnd(38)} ${c.phase.padEnd(10)} load ${fmt(c.meanLoad, 0)} / ` +
+          `capacity ${c.trackCapacity}  P(saturated) ${fmt(c.pSaturated, 2)}`
+      );
+    }
+    for (const [type, f] of limited) {
+      const slots = f.slotsPerBattery != null ? `, ${f.slotsPerBattery} engagements/battery/window` : "";
+      lines.push(
+        `  ${type.padEnd(18)} denied: no channel ${fmt(f.meanChannelDenied, 1)}, ` +
+          `no inventory ${fmt(f.meanInventoryDenied, 1)} \u2192 ${f.binding}${slots}`
+      );
+    }
+  }
+
+  // --- Track custody ---
+  if (s.trackLoss) {
+    lines.push(``, `Track custody, real warheads (means):`);
+    for (const [phase, t] of Object.entries(s.trackLoss)) {
+      lines.push(
+        `  ${phase.padEnd(10)} handovers ${fmt(t.meanHandovers, 1)}, ` +
+          `dropped ${fmt(t.meanDropped, 1)} (${fmt(100 * t.dropRate, 1)}%), ` +
+          `not re-acquired ${fmt(t.meanLost, 1)}`
+      );
+    }
+  }
+
+  // --- Per-class breakdown of leakers ---
+  if (s.byClass) {
+    lines.push(``, `Leakers by missile class (means):`);
+    for (const [className, c] of Object.entries(s.byClass)) {
+      const trajectory = c.trajectory && c.trajectory !== "Ballistic" ? `, ${c.trajectory.toLowerCase()}` : "";
+      lines.push(
+        `  ${className.padEnd(10)} penetrated ${fmt(c.meanPen, 1)} of ${c.realWarheads} ` +
+          `(${fmt(100 * c.shareOfPen, 1)}% of leakers), ` +
+          `${fmt(c.meanKtDelivered, 0)} kt (${fmt(100 * c.shareOfKt, 1)}% of yield)${trajectory}`
+      );
+    }
+  }
+
   // --- Architecture cost ---
   if (s.architectureCost_M > 0) {
     lines.push(
@@ -93,6 +417,53 @@ export function renderSummary(params, result) {
     );
   }
 
+  // --- Lifecycle cost ---
+  if (s.lifecycle && Object.keys(s.lifecycle.byType).length > 0) {
+    const lc = s.lifecycle;
+    lines.push(``, `Lifecycle cost (${lc.years} years, $M; procurement on learning curves):`);
+    for (const [type, t] of Object.entries(lc.byType)) {
+      lines.push(
+        `  ${type.padEnd(18)} procurement ${fmt(t.procurement_M, 0).padStart(7)}  ` +
+          `RDT&E ${fmt(t.rdte_M, 0).padStart(6)}  O&S ${fmt(t.oAndS_M, 0).padStart(6)}  ` +
+          `replenishment ${fmt(t.replenishment_M, 0).padStart(6)}  lifecycle ${fmt(t.total_M, 0).padStart(7)}`
+      );
+    }
+    lines.push(
+      `  ${"Total".padEnd(18)} procurement ${fmt(lc.totals.procurement_M, 0).padStart(7)}  ` +
+        `lifecycle ${fmt(lc.totals.total_M, 0)} ($${fmt(lc.totals.total_M / 1000, 1)}B)`,
+      `  Replacing rounds expended (per engagement, mean): $${fmt(lc.totals.expendedReplacement_M, 0)}M`,
+    );
+  }
+
+  // --- Cost exchange ---
+  if (s.costExchange) {
+    const cx = s.costExchange;
+    const perKill = cx.defenderCostPerKill_M != null ? `$${fmt(cx.defenderCostPerKill_M, 1)}M` : `—`;
+    lines.push(
+      ``,
+      `Cost exchange:`,
+      `  Attacker cost (raid):               $${fmt(cx.attackerCost_M, 0)}M`,
+      `  Defender cost (architecture):       $${fmt(cx.defenderCost_M, 0)}M`,
+      `  Interceptors expended per trial:    $${fmt(cx.meanDefenderConsumed_M, 0)}M (${perKill} per warhead killed)`,
+    );
+    if (cx.consumedPerAttackerDollar != null) {
+      lines.push(`  Expended per attacker dollar:       ${fmt(cx.consumedPerAttackerDollar, 2)}`);
+    }
+    const m = cx.marginal;
+    if (m) {
+      lines.push(
+        `  Marginal (red force +${fmt(100 * m.step, 0)}%, $${fmt(m.extraAttackerCost_M, 0)}M): ` +
+          `${fmt(m.extraPenetrated, 1)} more penetrated, $${fmt(m.extraDefenderConsumed_M, 0)}M more expended`,
+        `  Marginal cost-exchange ratio:       ` +
+          (m.ratio != null
+            ? `${fmt(m.ratio, 2)}` +
+              (m.ratioStdErr != null ? ` ± ${fmt(1.96 * m.ratioStdErr, 2)} (95%)` : ``) +
+              ` defender $ per attacker $ ($${fmt(m.defenderCostToOffset_M, 0)}M to offset)`
+            : `— (no kills to price the offset)`),
+      );
+    }
+  }
+
   lines.push(
     ``,
     `Detection diagnostics:`,
@@ -108,7 +479,8 @@ export function renderSummary(params, result) {
     `Classifier diagnostics (means):`,
     `  True positives (warheads\u2192warhead):  ${fmt(s.meanTP, 2)}`,
     `  False negatives (warheads\u2192not):     ${fmt(s.meanFN, 2)}`,
-    `  False positives (decoys\u2192warhead):   ${fmt(s.meanFP, 2)}`,
+    `  False positives (decoys\u2192warhead):   ${fmt(s.meanFP, 2)}` +
+      (s.meanTerminalFalsePositives != null ? ` (terminal ${fmt(s.meanTerminalFalsePositives, 2)})` : ``),
     ``,
     `Engagement / consumption (means):`,
     `  Mean total shots fired:             ${fmt(s.meanShotsTotal, 2)}`,